@@ -0,0 +1,4430 @@
+//=============================================================================
+//  VXU Smart Server — relay implementation
+//=============================================================================
+//  createServer(options) builds one self-contained server: its own player
+//  maps, timers and listeners, so several can run in one process (tests
+//  use port 0). server.js is the command-line wrapper. See createServer
+//  below for the options and the returned instance.
+//=============================================================================
+
+const net = require('net');
+const http = require('http');
+const crypto = require('crypto');
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { monitorEventLoopDelay } = require('perf_hooks');
+
+// Object.hasOwn only arrived in Node 16.9; package.json allows 16.0
+function hasOwn(obj, key) {
+    return Object.prototype.hasOwnProperty.call(obj, key);
+}
+
+// options (all optional; anything left out falls back to the environment
+// variable named in CONFIGURATION, then the default):
+//   gamePort, webPort      0 picks a free port; see instance.ports after start()
+//   publicUrl, adminPass, viewerPass, sessionSecret, dataDir, pluginDir
+//   trustProxy             proxies whose X-Forwarded-For is believed (default 1 with publicUrl, else 0)
+//   adminApiToken          enables the JSON admin API under /api/admin
+//   metricsToken           bearer token /metrics asks for (default: open)
+//   httpTimeout, longpollMaxWait, resumeGrace    (milliseconds)
+//   config                 { name, motd, maxPlayers, chatBackfill } — pinned over config.json
+//   logFormat              'json' for structured log lines
+//   quiet                  true = no console output
+// Returns an EventEmitter (events: join, leave, chat, pos) with
+//   start() → Promise, stop() → Promise, players(), getPlayer(id),
+//   kick(id, reason), reloadConfig(), reloadPlugins(), config(), ports
+function createServer(options = {}) {
+    // ─── CONFIGURATION ──────────────────────────────────────────────────────
+    // Options win over the environment, which wins over the defaults
+    const GAME_PORT = options.gamePort ?? (parseInt(process.env.GAME_PORT) || 7771);
+    const WEB_PORT = options.webPort ?? (parseInt(process.env.PORT) || 3000);
+    const PUBLIC_URL = options.publicUrl ?? (process.env.PUBLIC_URL || null);  // e.g. "https://my-server.onrender.com"
+    // Reverse proxies in front of the web port whose X-Forwarded-For entries
+    // are believed (see requestIP). Hosted deployments (PUBLIC_URL) have one.
+    const TRUST_PROXY = Math.max(0, options.trustProxy ?? (process.env.TRUST_PROXY !== undefined ? parseInt(process.env.TRUST_PROXY) || 0 : (PUBLIC_URL ? 1 : 0)));
+    const ADMIN_PASS = options.adminPass ?? (process.env.ADMIN_PASS || "admin");
+    // The built-in "admin" password is only accepted when the server isn't public
+    const ADMIN_PASS_DEFAULT = !(options.adminPass ?? process.env.ADMIN_PASS);
+    const ADMIN_LOGIN_OFF = ADMIN_PASS_DEFAULT && !!PUBLIC_URL;
+    const VIEWER_PASS = options.viewerPass ?? (process.env.VIEWER_PASS || null);  // read-only dashboard access (disabled if unset)
+    const SESSION_SECRET = options.sessionSecret ?? (process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex'));
+    const SESSION_TTL = 12 * 60 * 60 * 1000; // 12 hours
+    const SESSION_COOKIE = 'vxu_session';
+    const WS_PATH = '/ws';
+    const DELIM = '|';
+    const MAX_LINE_BYTES = 4096;  // longest packet / request body accepted, in UTF-8 bytes
+    const PROTOCOL_VERSION = 2;  // 2 = escaped fields (see PROTOCOL HELPERS); clients that don't say are 1
+    const HTTP_TIMEOUT = options.httpTimeout ?? 30000; // 30 seconds — drop HTTP clients that stop polling
+    const LONGPOLL_MAX_WAIT = Math.min(options.longpollMaxWait ?? (parseInt(process.env.LONGPOLL_MAX_WAIT) || 25000), HTTP_TIMEOUT - 5000);
+    const RESUME_GRACE = options.resumeGrace ?? (process.env.RESUME_GRACE !== undefined ? parseInt(process.env.RESUME_GRACE) || 0 : 60000); // 0 disables resume
+    const RESUME_BACKLOG = 1000;  // packets held for a detached player before their slot is released
+    const HTTP_QUEUE_MAX = parseInt(process.env.HTTP_QUEUE_MAX) || 500;  // packets held for one HTTP client between polls
+    // What a full HTTP queue does: 'resync' replaces it with a fresh snapshot
+    // (clients without the resync feature fall back to 'drop-oldest')
+    const HTTP_QUEUE_OVERFLOW = process.env.HTTP_QUEUE_OVERFLOW === 'drop-oldest' ? 'drop-oldest' : 'resync';
+    const STREAM_MAX_BUFFER = parseInt(process.env.STREAM_MAX_BUFFER) || 256 * 1024;  // unsent bytes before a TCP/WS client is dropped
+    const DATA_DIR = options.dataDir ?? (process.env.DATA_DIR || path.join(__dirname, '..', 'data'));  // persisted server state
+    const PLUGIN_DIR = options.pluginDir ?? (process.env.PLUGIN_DIR || path.join(__dirname, '..', 'plugins'));  // server-side game logic (see PLUGINS)
+    const LOG_JSON = (options.logFormat ?? process.env.LOG_FORMAT) === 'json';  // one JSON object per log line, for log collectors
+    const QUIET = !!options.quiet;  // no console output at all (tests, embedding)
+    const METRICS_TOKEN = options.metricsToken ?? (process.env.METRICS_TOKEN || null);  // if set, /metrics wants "Authorization: Bearer <token>"
+    const ADMIN_API_TOKEN = options.adminApiToken ?? (process.env.ADMIN_API_TOKEN || null);  // enables the JSON admin API (see ADMIN API)
+
+    // Token buckets: rate = tokens per second, burst = bucket size. Per-player
+    // buckets are keyed by packet type ('packet' covers every type not listed),
+    // 'ip' is shared by everything one address sends, 'join' throttles JOIN
+    // and /api/join and 'login' counts failed dashboard logins. Override entries with e.g. RATE_LIMITS='{"CHAT":{"rate":1,"burst":3}}'
+    const RATE_LIMITS = Object.assign({
+        packet: { rate: 30, burst: 60 },
+        POS: { rate: 20, burst: 40 },
+        CHAT: { rate: 2, burst: 6 },
+        PARTYCHAT: { rate: 2, burst: 6 },
+        TRANSFER: { rate: 1, burst: 3 },
+        ip: { rate: 200, burst: 400 },
+        join: { rate: 0.2, burst: 3 },
+        login: { rate: 0.05, burst: 5 }
+    }, envJSON('RATE_LIMITS'));
+
+    // Dropped packets are strikes against the sender's IP. muteAt strikes
+    // inside `window` ms mutes the player for muteSecs, kickAt disconnects them,
+    // and banAfter disconnects inside banWindow ms bans the IP for banSecs.
+    const FLOOD = Object.assign({
+        window: 10000, muteAt: 10, kickAt: 40, muteSecs: 60,
+        banAfter: 3, banWindow: 10 * 60 * 1000, banSecs: 600
+    }, envJSON('FLOOD'));
+
+    // Movement validation (see MOVEMENT VALIDATION): 'enforce' drops and
+    // corrects bad moves, 'log' only flags them, 'off' trusts the client.
+    // Map changes are only enforced for clients that speak TRANSFER.
+    const MOVE_CHECK = ['enforce', 'log', 'off'].includes(process.env.MOVE_CHECK) ? process.env.MOVE_CHECK : 'enforce';
+    const MOVE_MAX_SPEED = Math.max(1, Math.min(6, parseInt(process.env.MOVE_MAX_SPEED) || 6));  // highest RMVX move speed allowed
+    const MOVE_TOLERANCE = parseFloat(process.env.MOVE_TOLERANCE) || 1.5;  // multiplier on the speed limit for network jitter
+
+    function envJSON(name) {
+        if (!process.env[name]) return {};
+        try {
+            return JSON.parse(process.env[name]);
+        } catch (e) {
+            log(`Ignoring ${name}: ${e.message}`);
+            return {};
+        }
+    }
+
+    // ─── STATE ──────────────────────────────────────────────────────────────
+    let nextId = 1;  // 0 = server/admin
+    const tcpClients = new Map();  // socket → { id, mode, socket, name, ip, char_name, char_idx, map, pos, buffer }
+    const httpClients = new Map();  // token  → { id, mode, token, name, ip, char_name, char_idx, map, pos, lastPoll, queue[], waiting }
+    const wsClients = new Map();    // ws     → { id, mode, ws, name, ip, char_name, char_idx, map, pos }
+    const sessions = new Map();     // resume token → player info (every joined player)
+    const detachedClients = new Map();  // resume token → player info (dropped, inside the grace window)
+
+    let serverConfig;  // name, motd, maxPlayers — see SERVER CONFIG
+
+    // Embedders listen here: join(player), leave(player, reason),
+    // chat(player, msg), pos(player) — players as returned by publicPlayer()
+    const instance = new EventEmitter();
+
+    // Periodic sweeps; they only run between start() and stop()
+    const timers = [];  // { fn, ms, handle }
+    function every(fn, ms) { timers.push({ fn, ms, handle: null }); }
+
+    // Simple logging. `fields` (player ID, transport, IP, ...) only show up
+    // in LOG_FORMAT=json output; the text line already mentions what matters.
+    function log(msg, fields) {
+        if (QUIET) return;
+        if (LOG_JSON) {
+            console.log(JSON.stringify({ time: new Date().toISOString(), msg, ...fields }));
+            return;
+        }
+        const ts = new Date().toISOString().substr(11, 8);
+        console.log(`[${ts}] ${msg}`);
+    }
+
+    // Log fields describing a player or connection
+    function logFields(info) {
+        return { playerId: info.id, name: info.id !== null ? info.name : undefined, transport: info.mode, ip: info.ip };
+    }
+
+    // ─── PERSISTENCE ────────────────────────────────────────────────────────
+    // Small JSON files under DATA_DIR. Writes go to a temp file first so a
+    // crash mid-write never leaves a truncated file behind.
+    function loadJSON(file, fallback) {
+        try {
+            return JSON.parse(fs.readFileSync(path.join(DATA_DIR, file), 'utf8'));
+        } catch (e) {
+            if (e.code !== 'ENOENT') log(`Could not read ${file}: ${e.message}`);
+            return fallback;
+        }
+    }
+
+    function saveJSON(file, data) {
+        try {
+            fs.mkdirSync(DATA_DIR, { recursive: true });
+            const target = path.join(DATA_DIR, file);
+            fs.writeFileSync(target + '.tmp', JSON.stringify(data, null, 2));
+            fs.renameSync(target + '.tmp', target);
+        } catch (e) {
+            log(`Could not write ${file}: ${e.message}`);
+        }
+    }
+
+    // ─── SERVER CONFIG ──────────────────────────────────────────────────────
+    // config.json under DATA_DIR, with SERVER_NAME / MOTD / MAX_PLAYERS in the
+    // environment and then options.config taking precedence. Every source
+    // goes through the schema, so a bad file or dashboard edit is clamped
+    // instead of trusted. Reloaded on SIGHUP and from the dashboard; players
+    // are told when the name or MOTD changes:
+    //   SERVERINFO|name|motd
+    const CONFIG_FILE = 'config.json';
+    const CONFIG_SCHEMA = {
+        name: { type: 'string', max: 40, env: 'SERVER_NAME', default: "VXU Server" },
+        motd: { type: 'string', max: 200, env: 'MOTD', default: "Welcome to VX Unchained Multiplayer!" },
+        maxPlayers: { type: 'int', min: 2, max: 100, env: 'MAX_PLAYERS', default: 20 },
+        chatBackfill: { type: 'int', min: 0, max: 50, env: 'CHAT_BACKFILL', default: 0 }  // public chat lines sent after the MOTD
+    };
+
+    // Keep known keys only, clamped to the schema; anything missing or
+    // unusable falls back to `base`
+    function validateConfig(input, base) {
+        const config = {};
+        for (const [key, rule] of Object.entries(CONFIG_SCHEMA)) {
+            const value = input ? input[key] : undefined;
+            if (rule.type === 'int') {
+                const n = parseInt(value);
+                config[key] = isNaN(n) ? base[key] : Math.max(rule.min, Math.min(rule.max, n));
+            } else {
+                const text = value === undefined || value === null ? '' : normalizeText(value).replace(/[\x00-\x1f\x7f]/g, '').trim();
+                config[key] = text ? truncateText(text, rule.max) : base[key];
+            }
+        }
+        return config;
+    }
+
+    function configDefaults() {
+        const config = {};
+        for (const [key, rule] of Object.entries(CONFIG_SCHEMA)) config[key] = rule.default;
+        return config;
+    }
+
+    // Values the file can't change: the environment, then options.config
+    function pinnedConfig() {
+        const overrides = {};
+        for (const [key, rule] of Object.entries(CONFIG_SCHEMA)) {
+            if (process.env[rule.env] !== undefined) overrides[key] = process.env[rule.env];
+        }
+        return { ...overrides, ...options.config };
+    }
+
+    function loadConfig() {
+        const fromFile = validateConfig(loadJSON(CONFIG_FILE, {}), configDefaults());
+        return validateConfig(pinnedConfig(), fromFile);
+    }
+
+    // Swap in a validated config and tell dashboards and players about it.
+    // Returns the keys that changed.
+    function applyConfig(next) {
+        const prev = serverConfig;
+        serverConfig = next;
+        const changed = Object.keys(CONFIG_SCHEMA).filter(key => prev[key] !== next[key]);
+        if (!changed.length) return changed;
+
+        dashEvent('config', serverConfig);
+        dashEvent('update_counts', { current: getPlayerCount(), max: serverConfig.maxPlayers });
+        if (changed.includes('name') || changed.includes('motd')) {
+            const pkt = encode('SERVERINFO', next.name, next.motd);
+            for (const p of getAllPlayers()) {
+                if (supports(p, 'serverinfo')) { sendTo(p, pkt); continue; }
+                if (changed.includes('name')) sendSystem(p, `Server renamed to ${next.name}`);
+                if (changed.includes('motd')) sendSystem(p, next.motd);
+            }
+        }
+        return changed;
+    }
+
+    function reloadConfig(by) {
+        const changed = applyConfig(loadConfig());
+        mapLinks = loadMapLinks();
+        log(`Config reloaded by ${by}${changed.length ? ` (${changed.join(', ')} changed)` : ''}`);
+        dashLog(`Config reloaded by ${by}${changed.length ? `: ${changed.join(', ')} changed` : ', nothing changed'}`);
+    }
+
+    // A config change from the dashboard or the admin API: clamp, apply and
+    // save. Returns { changed, pinned } (pinned keys come back on restart).
+    function updateConfig(input, by) {
+        const changed = applyConfig(validateConfig(input, serverConfig));
+        saveJSON(CONFIG_FILE, serverConfig);
+        const pinned = Object.keys(pinnedConfig());
+        dashLog(`Server configuration updated by ${by}${changed.length ? `: ${changed.join(', ')}` : ''}`
+            + (pinned.length ? ` (${pinned.join(', ')} set in the environment or options and restored on restart)` : ''));
+        return { changed, pinned };
+    }
+
+    serverConfig = loadConfig();
+
+    // ─── PROTOCOL HELPERS ───────────────────────────────────────────────────
+    // Packets are DELIM-separated fields ending in a newline. Inside a field,
+    // backslash escapes keep user text from splitting the packet:
+    //   \\ → backslash    \p → |    \n → newline    \r → carriage return
+    const ESCAPES = { '\\': '\\\\', '|': '\\p', '\n': '\\n', '\r': '\\r' };
+    const UNESCAPES = { '\\': '\\', 'p': '|', 'n': '\n', 'r': '\r' };
+
+    function escapeField(value) { return String(value).replace(/[\\|\n\r]/g, c => ESCAPES[c]); }
+
+    function encode(...parts) { return parts.map(escapeField).join(DELIM) + '\n'; }
+
+    function decode(line) {
+        line = line.replace(/\r?\n$/, '');
+        const parts = [];
+        let field = '';
+        for (let i = 0; i < line.length; i++) {
+            const c = line[i];
+            if (c === '\\' && i + 1 < line.length) {
+                const next = line[++i];
+                field += UNESCAPES[next] !== undefined ? UNESCAPES[next] : next;
+            } else if (c === DELIM) {
+                parts.push(field);
+                field = '';
+            } else {
+                field += c;
+            }
+        }
+        parts.push(field);
+        return parts;
+    }
+
+    // Protocol 1 clients don't escape what they send either
+    function decodeFrom(info, line) {
+        return info.protocol === 1 ? line.replace(/\r?\n$/, '').split(DELIM) : decode(line);
+    }
+
+    // Protocol 1 clients don't understand escapes — give them the old
+    // unescaped form with delimiter characters inside fields blanked out
+    function toLegacy(data) {
+        return data.split('\n').filter(l => l.length > 0)
+            .map(l => decode(l).map(f => f.replace(/[|\r\n]/g, ' ')).join(DELIM) + '\n')
+            .join('');
+    }
+
+    // ─── HANDSHAKE ──────────────────────────────────────────────────────────
+    // Before JOIN (or RESUME) a client may introduce itself:
+    //   → HELLO|protocol|client_build|feature,feature,...
+    //   ← HELLO|protocol|server_build|feature,feature,...
+    // Clients that skip HELLO are treated as the protocol named in JOIN (1 if
+    // absent) with no optional features. Packet types listed in PACKET_FEATURES
+    // are only sent to clients that advertised the matching feature.
+    const SERVER_BUILD = require('../package.json').version;
+    const MIN_PROTOCOL = parseInt(process.env.MIN_PROTOCOL) || 1;
+    const SERVER_FEATURES = ['mapscope', 'resume', 'longpoll', 'whisper', 'emote', 'party', 'sharedstate', 'trade', 'events', 'movecheck', 'serverinfo', 'resync', 'teleport'];
+    const PACKET_FEATURES = {
+        MAPENTER: 'mapscope',
+        MAPLEAVE: 'mapscope',
+        WHISPER: 'whisper',
+        EMOTE: 'emote',
+        PARTY: 'party',
+        PARTYINVITE: 'party',
+        PARTYCHAT: 'party',
+        PARTYSTATUS: 'party',
+        SWITCH: 'sharedstate',
+        VAR: 'sharedstate',
+        SELFSW: 'sharedstate',
+        TRADE: 'trade',
+        EVENT: 'events',
+        MOVEFIX: 'movecheck',
+        TRANSFEROK: 'movecheck',
+        SERVERINFO: 'serverinfo',
+        RESYNC: 'resync',
+        TELEPORT: 'teleport'
+    };
+
+    function parseHello(fields) {
+        return {
+            protocol: parseInt(fields[0]) || 1,
+            build: String(fields[1] || '').replace(/[^\w.\-+]/g, '').substring(0, 32) || 'unknown',
+            features: new Set(String(fields[2] || '').split(',').filter(f => /^[a-z0-9_]+$/.test(f)))
+        };
+    }
+
+    // Returns a reason to refuse the client, or null if we can talk to it
+    function checkProtocol(protocol) {
+        if (protocol < MIN_PROTOCOL) {
+            return `Client too old (protocol ${protocol}, server needs ${MIN_PROTOCOL}+). Please update VXU.`;
+        }
+        return null;
+    }
+
+    function helloPacket() {
+        return encode('HELLO', PROTOCOL_VERSION, SERVER_BUILD, SERVER_FEATURES.join(','));
+    }
+
+    function applyHello(info, hello) {
+        info.hello = true;
+        info.protocol = hello.protocol;
+        info.build = hello.build;
+        info.features = hello.features;
+    }
+
+    function supports(info, feature) {
+        return !!info.features && info.features.has(feature);
+    }
+
+    // Shown in the dashboard's Version column
+    function describeClient(info) {
+        return info.hello ? `${info.build} (p${info.protocol})` : `legacy (p${info.protocol || 1})`;
+    }
+
+    // Send pkt if the client advertised the feature, otherwise the fallback
+    function sendOr(info, feature, pkt, fallback) {
+        sendTo(info, supports(info, feature) ? pkt : fallback);
+    }
+
+    // HTTP bodies may carry the client's HELLO as their first line
+    function splitHello(body) {
+        const nl = body.indexOf('\n');
+        if (!body.startsWith('HELLO' + DELIM) || nl < 0) return { hello: null, rest: body };
+        return { hello: parseHello(decode(body.substring(0, nl)).slice(1)), rest: body.substring(nl + 1) };
+    }
+
+    // ─── TEXT NORMALIZATION ─────────────────────────────────────────────────
+    // All transports carry UTF-8. Text is NFC-normalized on the way in so the
+    // same name typed on different systems compares equal.
+    function normalizeText(s) {
+        return String(s).normalize('NFC');
+    }
+
+    // Count code points, not UTF-16 units, so emoji and CJK aren't penalized
+    function textLength(s) { return [...s].length; }
+    function truncateText(s, max) { return [...s].slice(0, max).join(''); }
+
+    // Cyrillic/Greek letters that render the same as Latin ones
+    const CONFUSABLES = {
+        'а': 'a', 'в': 'b', 'е': 'e', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o', 'р': 'p',
+        'с': 'c', 'т': 't', 'у': 'y', 'х': 'x', 'і': 'i', 'ј': 'j', 'ѕ': 's', 'ԁ': 'd',
+        'α': 'a', 'β': 'b', 'ε': 'e', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p',
+        'τ': 't', 'υ': 'u', 'χ': 'x'
+    };
+
+    // Key used to decide whether two names are "the same": compatibility
+    // forms folded (full-width, ligatures), case-insensitive, lookalikes mapped
+    function nameKey(name) {
+        return [...name.normalize('NFKC').toLowerCase()].map(c => CONFUSABLES[c] || c).join('').replace(/\s+/g, ' ');
+    }
+
+    function isNameTaken(name) {
+        const key = nameKey(name);
+        return getAllPlayers().some(p => nameKey(p.name) === key);
+    }
+
+    // ─── FIELD VALIDATION ───────────────────────────────────────────────────
+    const MAX_NAME_LENGTH = 20;
+    const MAX_CHAR_NAME_LENGTH = 32;
+    const MAX_CHAT_LENGTH = 200;
+    const NAME_PATTERN = /^[\p{L}\p{M}\p{N} _\-.'!?]+$/u;
+    const CHAR_NAME_PATTERN = /^[\p{L}\p{M}\p{N} _\-.!$()\[\]]*$/u;  // RMVX graphic names may start with ! or $
+    const INT_PATTERN = /^-?\d{1,6}$/;
+
+    function checkCharacter(charName, charIdx) {
+        if (textLength(charName) > MAX_CHAR_NAME_LENGTH || !CHAR_NAME_PATTERN.test(charName)) return 'Invalid character graphic name';
+        if (!/^[0-7]$/.test(charIdx)) return 'Character index must be 0-7';
+        return null;
+    }
+
+    function checkName(name) {
+        if (!name || textLength(name) > MAX_NAME_LENGTH || !NAME_PATTERN.test(name)) {
+            return `Name must be 1-${MAX_NAME_LENGTH} letters, digits, spaces or _-.'!?`;
+        }
+        return null;
+    }
+
+    // JOIN fields: NAME|CHAR_NAME|CHAR_IDX[|PROTOCOL]
+    // Returns { error } or the cleaned-up values
+    function parseJoin(fields) {
+        const name = normalizeText(fields[0] || '').replace(/\s+/g, ' ').trim() || 'Player';
+        const charName = normalizeText(fields[1] || '');
+        const charIdx = fields[2] || '0';
+        const nameError = checkName(name);
+        if (nameError) return { error: nameError };
+        if (isNameTaken(name)) return { error: 'That name is already in use' };
+        const charError = checkCharacter(charName, charIdx);
+        if (charError) return { error: charError };
+        return { name, charName, charIdx: parseInt(charIdx), protocol: parseInt(fields[3]) || 1 };
+    }
+
+    // Strip control characters and cap the length; '' means nothing to send
+    function cleanChat(msg) {
+        return truncateText(normalizeText(msg || '').replace(/[\u0000-\u001f\u007f]/g, ' ').trim(), MAX_CHAT_LENGTH);
+    }
+
+    function getPlayerCount() {
+        let count = 0;
+        for (const c of tcpClients.values()) if (c.id !== null) count++;
+        for (const c of httpClients.values()) count++;
+        for (const c of wsClients.values()) if (c.id !== null) count++;
+        count += detachedClients.size;
+        return count;
+    }
+
+    function getAllPlayers() {
+        const list = [];
+        for (const c of tcpClients.values()) {
+            if (c.id !== null) list.push(c);
+        }
+        for (const c of httpClients.values()) {
+            list.push(c);
+        }
+        for (const c of wsClients.values()) {
+            if (c.id !== null) list.push(c);
+        }
+        for (const c of detachedClients.values()) {
+            list.push(c);
+        }
+        return list;
+    }
+
+    function getPlayerById(id) {
+        return getAllPlayers().find(p => p.id === id) || null;
+    }
+
+    // data in the form this client reads, or null if it lacks the feature
+    function packetFor(info, data) {
+        const feature = PACKET_FEATURES[data.substring(0, data.search(/[|\n]/))];
+        if (feature && !supports(info, feature)) return null;
+        return info.protocol === 1 ? toLegacy(data) : data;
+    }
+
+    // Write to a TCP/WebSocket client or queue for an HTTP/detached client
+    function sendTo(info, data) {
+        data = packetFor(info, data);
+        if (data === null) return;
+        if (info.detached) {
+            enqueue(info, data);
+            if (info.queue.length > RESUME_BACKLOG) removePlayer(info, 'Session expired');
+        } else if (info.mode === 'TCP') {
+            if (info.socket.destroyed) return;
+            countSent(info, data);
+            try {
+                if (!info.socket.write(data) && info.socket.writableLength > STREAM_MAX_BUFFER) dropSlowClient(info);
+            } catch (e) { }
+        } else if (info.mode === 'WS') {
+            if (info.ws.readyState !== 1) return;
+            countSent(info, data);
+            info.ws.send(data);
+            if (info.ws.bufferedAmount > STREAM_MAX_BUFFER) dropSlowClient(info);
+        } else {
+            countSent(info, data);
+            enqueue(info, data);
+            if (info.queue.length > HTTP_QUEUE_MAX) overflowQueue(info);
+            // Wake a parked long-poll; deferred so a burst of packets goes out together
+            if (info.waiting && !info.flushScheduled) {
+                info.flushScheduled = true;
+                setImmediate(() => { if (info.flushScheduled) flushHttpClient(info); });
+            }
+        }
+    }
+
+    // ─── CLIENT QUEUES ──────────────────────────────────────────────────────
+    // Packets waiting for an HTTP client's next poll or a detached player's
+    // resume. Only the newest POS from each player is worth delivering, so a
+    // newer one blanks the older slot (null) and goes to the back; everything
+    // else (CHAT, ADDPLAYER, DELPLAYER, ...) is kept in order.
+    function enqueue(info, data) {
+        if (data.startsWith('POS|')) {
+            const sender = data.substring(4, data.indexOf('|', 4));
+            if (!info.posSlots) info.posSlots = new Map();
+            const old = info.posSlots.get(sender);
+            if (old !== undefined) info.queue[old] = null;
+            info.posSlots.set(sender, info.queue.length);
+        }
+        info.queue.push(data);
+        if (info.queue.length > Math.min(HTTP_QUEUE_MAX, RESUME_BACKLOG)) compactQueue(info);
+    }
+
+    // Squeeze out blanked slots and re-index the POS positions
+    function compactQueue(info) {
+        info.queue = info.queue.filter(p => p !== null);
+        info.posSlots = new Map();
+        info.queue.forEach((p, i) => {
+            if (p.startsWith('POS|')) info.posSlots.set(p.substring(4, p.indexOf('|', 4)), i);
+        });
+    }
+
+    // Empty the queue, returning the packets still worth sending
+    function takeQueue(info) {
+        const packets = info.queue.filter(p => p !== null);
+        info.queue = [];
+        info.posSlots = null;
+        return packets;
+    }
+
+    // An HTTP client has fallen HTTP_QUEUE_MAX packets behind. The snapshot
+    // is queued directly (not through sendTo, which would land back here);
+    // if it alone is over the cap, the oldest packets are dropped instead.
+    function overflowQueue(info) {
+        if (HTTP_QUEUE_OVERFLOW === 'resync' && supports(info, 'resync')) {
+            const packets = resyncPackets(info).map(p => packetFor(info, p)).filter(p => p !== null);
+            if (packets.length <= HTTP_QUEUE_MAX) {
+                countMetric(metrics.queueOverflows, 'resync');
+                info.queue = [];
+                info.posSlots = null;
+                for (const pkt of packets) {
+                    countSent(info, pkt);
+                    enqueue(info, pkt);
+                }
+                return;
+            }
+        }
+        countMetric(metrics.queueOverflows, 'drop-oldest');
+        info.queue.splice(0, info.queue.length - HTTP_QUEUE_MAX);
+        compactQueue(info);
+    }
+
+    // Everything a client needs to rebuild its view of the world:
+    //   RESYNC   (forget all other players; the snapshot follows)
+    function resyncPackets(info) {
+        const packets = [encode('RESYNC')];
+        for (const p of getAllPlayers()) {
+            if (p.id === info.id) continue;
+            packets.push(encode('ADDPLAYER', p.id, p.name, p.char_name, p.char_idx));
+            if (p.pos && (p.map === info.map || !supports(info, 'mapscope'))) packets.push(p.pos);
+        }
+        return packets.concat(stateSnapshot());
+    }
+
+    // A TCP/WebSocket client that can't keep up: hang up rather than buffer
+    // without limit. Its close handler removes the player.
+    function dropSlowClient(info) {
+        if (info.kicked) return;
+        info.kicked = 'Too slow';
+        countMetric(metrics.slowDisconnects, info.mode);
+        log(`${info.mode} Send buffer full: ${info.name} (ID ${info.id})`, logFields(info));
+        dashLog(`Disconnected ${info.name}: over ${Math.round(STREAM_MAX_BUFFER / 1024)} KB of unsent data`);
+        if (info.mode === 'TCP') info.socket.destroy();
+        else info.ws.terminate();
+    }
+
+    // Answer an HTTP client's parked long-poll with everything queued so far
+    function flushHttpClient(info) {
+        info.flushScheduled = false;
+        const waiting = info.waiting;
+        if (!waiting) return;
+        info.waiting = null;
+        clearTimeout(waiting.timer);
+        info.lastPoll = Date.now();
+
+        const messages = takeQueue(info).join('');
+        waiting.res.writeHead(200, API_HEADERS);
+        waiting.res.end(messages);
+    }
+
+    // Close a streaming (TCP/WebSocket) connection; its close handler cleans up.
+    // Pending data (a REJECT) gets CLOSE_TIMEOUT to go out, then the connection
+    // is cut whether or not the client closed its side.
+    const CLOSE_TIMEOUT = 2000;
+
+    function closeClient(info) {
+        if (info.mode === 'TCP') {
+            const socket = info.socket;
+            const timer = setTimeout(() => socket.destroy(), CLOSE_TIMEOUT);
+            socket.once('close', () => clearTimeout(timer));
+            socket.end(() => socket.destroy());
+        } else if (info.mode === 'WS') {
+            const ws = info.ws;
+            const timer = setTimeout(() => ws.terminate(), CLOSE_TIMEOUT);
+            ws.once('close', () => clearTimeout(timer));
+            ws.close();
+        }
+    }
+
+    // Disconnect a player (or a connecting stream client) for good, whatever
+    // transport they are on; stream clients are told why with REJECT|message
+    function kickPlayer(info, reason, message = reason) {
+        if (info.detached) {
+            removePlayer(info, reason);
+        } else if (info.mode === 'HTTP') {
+            if (httpClients.get(info.token) !== info) return;
+            httpClients.delete(info.token);
+            removePlayer(info, reason);
+        } else {
+            // The close handler removes them
+            info.kicked = reason;
+            rejectClient(info, message);
+        }
+    }
+
+    // Tell a streaming client why it is being refused, then hang up
+    //   REJECT|reason
+    function rejectClient(info, reason) {
+        sendTo(info, encode('REJECT', reason));
+        closeClient(info);
+    }
+
+    // Broadcast to all TCP/WebSocket clients + queue for all HTTP clients
+    function broadcast(data, excludeId) {
+        const started = process.hrtime.bigint();
+        for (const p of getAllPlayers()) {
+            if (p.id === excludeId) continue;
+            sendTo(p, data);
+        }
+        observeFanout(started);
+    }
+
+    // Broadcast only to players currently on the given map
+    function broadcastMap(mapId, data, excludeId) {
+        const started = process.hrtime.bigint();
+        for (const p of getAllPlayers()) {
+            if (p.id === excludeId || p.map !== mapId) continue;
+            sendTo(p, data);
+        }
+        observeFanout(started);
+    }
+
+    // ─── MAP INTEREST ───────────────────────────────────────────────────────
+    // POS is only relayed between players on the same map. When a player
+    // switches maps, both sides get MAPLEAVE/MAPENTER so clients can hide or
+    // show the sprite, and the mover is sent the last POS of everyone already
+    // on the new map (players standing still would otherwise stay invisible).
+    //   MAPLEAVE|id|map
+    //   MAPENTER|id|map
+    // Clients without the mapscope feature get DELPLAYER and ADDPLAYER instead.
+    function changeMap(info, newMap) {
+        const oldMap = info.map;
+        info.map = newMap;
+
+        for (const p of getAllPlayers()) {
+            if (p.id === info.id) continue;
+            if (oldMap !== null && p.map === oldMap) {
+                sendOr(p, 'mapscope', encode('MAPLEAVE', info.id, oldMap), encode('DELPLAYER', info.id));
+                sendOr(info, 'mapscope', encode('MAPLEAVE', p.id, oldMap), encode('DELPLAYER', p.id));
+            }
+            if (p.map === newMap) {
+                sendOr(p, 'mapscope', encode('MAPENTER', info.id, newMap), encode('ADDPLAYER', info.id, info.name, info.char_name, info.char_idx));
+                sendOr(info, 'mapscope', encode('MAPENTER', p.id, newMap), encode('ADDPLAYER', p.id, p.name, p.char_name, p.char_idx));
+                if (p.pos) sendTo(info, p.pos);
+            }
+        }
+    }
+
+    // Shared POS handling for all transports
+    // fields: MAP|X|Y|DIR|SPD|CHAR_NAME|CHAR_IDX
+    function handlePos(info, fields) {
+        const [map, x, y, dir, spd] = fields;
+        const charName = normalizeText(fields[5]);
+        const charIdx = fields[6];
+        if (![map, x, y, dir, spd].every(v => INT_PATTERN.test(v))) return;
+        if (checkCharacter(charName, charIdx)) return;
+        const speed = Math.max(1, Math.min(MOVE_MAX_SPEED, parseInt(spd)));
+        if (!checkMove(info, map, parseInt(x), parseInt(y), speed)) return;
+        if (!pluginAllowsPos(info, { map: parseInt(map), x: parseInt(x), y: parseInt(y), dir: parseInt(dir), speed })) {
+            if (info.map !== null) sendTo(info, encode('MOVEFIX', info.map, info.x, info.y));
+            return;
+        }
+        info.char_name = charName;
+        info.char_idx = parseInt(charIdx) || 0;
+        info.x = parseInt(x);
+        info.y = parseInt(y);
+        info.dir = parseInt(dir);
+        info.speed = speed;
+        info.lastMove = Date.now();
+        movedPlayers.add(info.id);
+
+        const pkt = encode('POS', info.id, map, x, y, dir, speed, charName, charIdx);
+        if (info.map !== map) changeMap(info, map);
+        info.pos = pkt;
+        broadcastMap(map, pkt, info.id);
+        instance.emit('pos', publicPlayer(info));
+    }
+
+    // ─── LIVE MAP ───────────────────────────────────────────────────────────
+    // Admin dashboards get player positions at most every MAP_PUSH_INTERVAL:
+    // each 'positions' event carries only the players that moved, or went
+    // idle or came back, since the last one. A player with no POS for
+    // MAP_IDLE_AFTER (IDLE_SECS) is idle.
+    const MAP_PUSH_INTERVAL = 500;
+    const MAP_IDLE_AFTER = (parseInt(process.env.IDLE_SECS) || 300) * 1000;
+
+    const movedPlayers = new Set();  // ids with a POS since the last push
+
+    function isIdle(info, now = Date.now()) {
+        return now - info.lastMove > MAP_IDLE_AFTER;
+    }
+
+    function mapEntry(info, now) {
+        return { id: info.id, map: info.map, x: info.x, y: info.y, dir: info.dir, updated: info.lastMove, idle: isIdle(info, now) };
+    }
+
+    function mapSnapshot() {
+        const now = Date.now();
+        return { now, players: getAllPlayers().map(p => mapEntry(p, now)) };
+    }
+
+    every(() => {
+        const now = Date.now();
+        const changed = [];
+        for (const info of getAllPlayers()) {
+            const idle = isIdle(info, now);
+            if (!movedPlayers.has(info.id) && idle === !!info.idle) continue;
+            info.idle = idle;
+            changed.push(mapEntry(info, now));
+        }
+        movedPlayers.clear();
+        if (changed.length) dashAdminEvent('positions', { now, players: changed });
+    }, MAP_PUSH_INTERVAL);
+
+    // ─── MOVEMENT VALIDATION ────────────────────────────────────────────────
+    // The server remembers each player's last accepted map, X, Y and when it
+    // arrived. A POS covering more ground than the stated move speed allows
+    // (RMVX speed n moves 2^n/256 tiles a frame at 60 fps), or landing on another
+    // map without an accepted transfer, is dropped and the client is told to
+    // snap back. Clients with the movecheck feature ask before a map transfer:
+    //   TRANSFER|map|x|y   → TRANSFEROK|map|x|y, or MOVEFIX if refused
+    //   MOVEFIX|map|x|y      last accepted position (server → client)
+    // Older clients can't ask, so their map changes are held to the map links
+    // below, at most one per MAP_CHANGE_GAP, and landing back on a map they
+    // have left must be within walking distance of where they left it. They
+    // don't understand MOVEFIX either: a rejected move is just not relayed.
+    //
+    // Which transfers are accepted comes from MAP_LINKS_FILE, re-read on a
+    // config reload: { "1": ["2", "5"], "2": ["1"] } lets map 1 lead to maps
+    // 2 and 5 (list a map itself to allow transfers within it). A map with no
+    // entry may lead anywhere, so without the file TRANSFER is advisory: it
+    // only makes map changes announced and rate limited (RATE_LIMITS.TRANSFER).
+    const MAP_LINKS_FILE = 'map_links.json';
+    const MOVE_SLACK = 2;             // tiles allowed on top of the speed limit
+    const TRANSFER_TTL = 10000;       // an accepted transfer must be used within this
+    const MOVE_FLAG_AT = 5;           // rejected moves inside MOVE_FLAG_WINDOW before the dashboard is told
+    const MOVE_FLAG_WINDOW = 60000;
+    const MAP_CHANGE_GAP = 1000;      // minimum time between unannounced map changes
+    const MAPS_REMEMBERED = 16;       // maps whose exit point is kept per player
+
+    let mapLinks = loadMapLinks();
+
+    // from map → Set of destination maps
+    function loadMapLinks() {
+        const links = new Map();
+        const saved = loadJSON(MAP_LINKS_FILE, {});
+        if (!saved || typeof saved !== 'object') return links;
+        for (const [from, to] of Object.entries(saved)) {
+            if (INT_PATTERN.test(from) && Array.isArray(to)) links.set(String(parseInt(from)), new Set(to.map(m => String(parseInt(m)))));
+        }
+        return links;
+    }
+
+    // Reason to refuse a TRANSFER, or null
+    function transferRefusal(info, map) {
+        if (info.map === null) return null;  // the first POS may land anywhere anyway
+        const allowed = mapLinks.get(String(parseInt(info.map)));
+        if (allowed && !allowed.has(String(parseInt(map)))) return `map ${info.map} does not lead to map ${map}`;
+        return null;
+    }
+
+    function tilesPerSecond(speed) {
+        return Math.pow(2, speed) * 60 / 256;
+    }
+
+    // Let the player's next POS land at map/x/y (TRANSFER packets, admin teleports)
+    function acceptTransfer(info, map, x, y) {
+        info.transfer = { map: String(map), x, y, until: Date.now() + TRANSFER_TTL };
+    }
+
+    // true if the move may be relayed; otherwise a MOVEFIX has been sent
+    function checkMove(info, map, x, y, speed) {
+        if (MOVE_CHECK === 'off') return true;
+        const now = Date.now();
+        const transfer = info.transfer;
+        let problem = null;
+
+        if (transfer && transfer.until > now && transfer.map === map
+            && Math.abs(x - transfer.x) + Math.abs(y - transfer.y) <= MOVE_SLACK) {
+            info.transfer = null;
+        } else if (info.map === null || info.lastMoveAt === undefined) {
+            // First position after joining: the client spawns wherever its save says
+        } else if (map !== info.map && !supports(info, 'movecheck')) {
+            problem = unannouncedMapChange(info, map, x, y, speed, now);
+        } else if (map !== info.map) {
+            problem = `map ${info.map} → ${map} without a transfer`;
+        } else {
+            problem = tooFar(info.x, info.y, info.lastMoveAt, x, y, speed, now);
+        }
+
+        if (problem) flagMove(info, problem);
+        if (problem && MOVE_CHECK === 'enforce') {
+            sendTo(info, encode('MOVEFIX', info.map, info.x, info.y));
+            return false;
+        }
+        if (info.map !== null && map !== info.map) rememberExit(info, now);
+        info.lastMoveAt = now;
+        return true;
+    }
+
+    // Reason a walk from fromX/fromY (at time since) to x/y is too fast, or null
+    function tooFar(fromX, fromY, since, x, y, speed, now) {
+        const tiles = Math.abs(x - fromX) + Math.abs(y - fromY);
+        const seconds = (now - since) / 1000;
+        if (tiles > tilesPerSecond(speed) * seconds * MOVE_TOLERANCE + MOVE_SLACK) {
+            return `${tiles} tiles in ${seconds.toFixed(2)}s at speed ${speed}`;
+        }
+        return null;
+    }
+
+    // Reason to refuse a map change from a client that can't send TRANSFER, or null
+    function unannouncedMapChange(info, map, x, y, speed, now) {
+        const refusal = transferRefusal(info, map);
+        if (refusal) return refusal;
+        if (info.lastMapChange && now - info.lastMapChange < MAP_CHANGE_GAP) {
+            return `map ${info.map} → ${map} ${now - info.lastMapChange}ms after the last map change`;
+        }
+        const exit = info.exits && info.exits.get(map);
+        const problem = exit && tooFar(exit.x, exit.y, exit.at, x, y, speed, now);
+        if (problem) return `back on map ${map}: ${problem}`;
+        log(`Unannounced map change: ${info.name} (ID ${info.id}) — map ${info.map} → ${map}`, logFields(info));
+        return null;
+    }
+
+    // Where the player left its current map, so coming back can be checked
+    function rememberExit(info, now) {
+        info.exits = info.exits || new Map();
+        info.exits.delete(info.map);
+        info.exits.set(info.map, { x: info.x, y: info.y, at: now });
+        if (info.exits.size > MAPS_REMEMBERED) info.exits.delete(info.exits.keys().next().value);
+        info.lastMapChange = now;
+    }
+
+    function flagMove(info, problem) {
+        const now = Date.now();
+        info.moveFaults = (info.moveFaults || []).filter(t => now - t < MOVE_FLAG_WINDOW);
+        info.moveFaults.push(now);
+        log(`Move rejected: ${info.name} (ID ${info.id}) — ${problem}`, logFields(info));
+        if (info.moveFaults.length === MOVE_FLAG_AT) {
+            info.flagged = true;
+            dashLog(`Movement flagged: ${info.name} (${MOVE_FLAG_AT} bad moves in ${MOVE_FLAG_WINDOW / 1000}s, last: ${problem})`);
+            dashEvent('player_update', { id: info.id, flagged: true });
+        }
+    }
+
+    function handleTransfer(info, fields) {
+        const [map, x, y] = fields;
+        if (![map, x, y].every(v => INT_PATTERN.test(v || ''))) return;
+        const refusal = MOVE_CHECK === 'off' ? null : transferRefusal(info, map);
+        if (refusal) {
+            flagMove(info, `transfer refused: ${refusal}`);
+            if (MOVE_CHECK === 'enforce') {
+                sendTo(info, encode('MOVEFIX', info.map, info.x, info.y));
+                return;
+            }
+        }
+        acceptTransfer(info, map, parseInt(x), parseInt(y));
+        sendTo(info, encode('TRANSFEROK', map, x, y));
+    }
+
+    // Shared CHAT handling for all transports
+    function handleChat(info, msg) {
+        msg = cleanChat(msg);
+        if (!msg) return;
+        if (msg.startsWith('/')) { handleCommand(info, msg); return; }
+        if (isMuted(info)) { sendSystem(info, 'You are muted.'); return; }
+        msg = pluginChat(info, msg);
+        if (!msg) return;
+        broadcast(encode('CHAT', info.id, info.name, msg));
+        instance.emit('chat', publicPlayer(info), msg);
+        dashChat({ name: info.name, msg });
+    }
+
+    // ─── CHAT COMMANDS ──────────────────────────────────────────────────────
+    // Chat starting with "/" is handled here instead of being broadcast, so
+    // TCP, HTTP and WebSocket players get identical behavior. Replies that
+    // only concern the sender arrive as CHAT from the server (ID 0).
+    //   WHISPER|from_id|from_name|to_id|to_name|msg   (target + echo to sender)
+    //   EMOTE|id|name|action
+    // Clients without the whisper/emote feature get an equivalent CHAT line.
+    const CHAT_COMMANDS = {
+        // speaks: true = refused while the player is muted
+        w: { usage: '/w <name> <message>', help: 'Send a private message', run: cmdWhisper, speaks: true },
+        me: { usage: '/me <action>', help: 'Describe an action', run: cmdEmote, speaks: true },
+        who: { usage: '/who', help: 'List players online', run: cmdWho },
+        party: { usage: '/party invite|accept|decline|leave|kick [name]', help: 'Manage your party', run: cmdParty },
+        p: { usage: '/p <message>', help: 'Chat with your party', run: cmdPartyChat, speaks: true },
+        help: { usage: '/help', help: 'List commands', run: cmdHelp }
+    };
+    const COMMAND_ALIASES = { whisper: 'w', msg: 'w', tell: 'w', pm: 'w' };
+
+    function sendSystem(info, text) {
+        sendTo(info, encode('CHAT', 0, 'Server', text));
+    }
+
+    function handleCommand(info, msg) {
+        const space = msg.indexOf(' ');
+        const name = (space < 0 ? msg.substring(1) : msg.substring(1, space)).toLowerCase();
+        const args = space < 0 ? '' : msg.substring(space + 1).trim();
+        const command = CHAT_COMMANDS[COMMAND_ALIASES[name] || name];
+        if (!command) { sendSystem(info, `Unknown command /${name}. Type /help for a list.`); return; }
+        if (command.speaks && isMuted(info)) { sendSystem(info, 'You are muted.'); return; }
+        command.run(info, args, command);
+    }
+
+    // Split "<name> <rest>" where the name may contain spaces: either quoted,
+    // or the longest run of leading words that matches an online player
+    function splitTarget(args) {
+        if (args.startsWith('"')) {
+            const end = args.indexOf('"', 1);
+            if (end < 0) return null;
+            return { player: findPlayerByName(args.substring(1, end)), rest: args.substring(end + 1).trim() };
+        }
+        const words = args.split(' ');
+        for (let n = words.length; n > 0; n--) {
+            const player = findPlayerByName(words.slice(0, n).join(' '));
+            if (player) return { player, rest: words.slice(n).join(' ') };
+        }
+        return { player: null, rest: words.slice(1).join(' ') };
+    }
+
+    function findPlayerByName(name) {
+        const key = nameKey(name);
+        return getAllPlayers().find(p => nameKey(p.name) === key) || null;
+    }
+
+    function cmdWhisper(info, args, command) {
+        const target = splitTarget(args);
+        if (!target || !target.rest) { sendSystem(info, `Usage: ${command.usage}`); return; }
+        if (!target.player) { sendSystem(info, 'No player by that name is online.'); return; }
+        const to = target.player;
+        if (to.id === info.id) { sendSystem(info, 'You can\'t whisper to yourself.'); return; }
+
+        const pkt = encode('WHISPER', info.id, info.name, to.id, to.name, target.rest);
+        sendOr(to, 'whisper', pkt, encode('CHAT', info.id, `${info.name} (whisper)`, target.rest));
+        sendOr(info, 'whisper', pkt, encode('CHAT', 0, `To ${to.name}`, target.rest));
+        dashChat({ name: info.name, msg: target.rest, private: true, to: to.name });
+    }
+
+    function cmdEmote(info, args, command) {
+        if (!args) { sendSystem(info, `Usage: ${command.usage}`); return; }
+        const pkt = encode('EMOTE', info.id, info.name, args);
+        const fallback = encode('CHAT', info.id, info.name, `* ${info.name} ${args}`);
+        for (const p of getAllPlayers()) sendOr(p, 'emote', pkt, fallback);
+        dashChat({ name: info.name, msg: args, emote: true });
+    }
+
+    function cmdWho(info) {
+        const names = getAllPlayers().map(p => p.detached ? `${p.name} (away)` : p.name);
+        // Wrap so each line stays under the chat length limit
+        let line = `Online (${names.length}):`;
+        names.forEach((name, i) => {
+            const item = name + (i < names.length - 1 ? ',' : '');
+            if (textLength(line) + textLength(item) + 1 > MAX_CHAT_LENGTH) { sendSystem(info, line); line = ''; }
+            line += (line ? ' ' : '') + item;
+        });
+        sendSystem(info, line);
+    }
+
+    function cmdHelp(info) {
+        for (const key of Object.keys(CHAT_COMMANDS)) {
+            const command = CHAT_COMMANDS[key];
+            sendSystem(info, `${command.usage} — ${command.help}`);
+        }
+    }
+
+    function cmdParty(info, args, command) {
+        const space = args.indexOf(' ');
+        const action = (space < 0 ? args : args.substring(0, space)).toLowerCase();
+        const targetName = space < 0 ? '' : args.substring(space + 1).trim();
+
+        switch (action) {
+            case 'invite':
+            case 'kick': {
+                const target = findPlayerByName(targetName);
+                if (!target) { sendSystem(info, 'No player by that name is online.'); return; }
+                if (action === 'invite') partyInvite(info, target);
+                else partyKick(info, target);
+                break;
+            }
+            case 'accept': partyAccept(info); break;
+            case 'decline': partyDecline(info); break;
+            case 'leave': partyLeave(info); break;
+            default: sendSystem(info, `Usage: ${command.usage}`);
+        }
+    }
+
+    function cmdPartyChat(info, args, command) {
+        if (!args) { sendSystem(info, `Usage: ${command.usage}`); return; }
+        partyChat(info, args);
+    }
+
+    // ─── PARTIES ────────────────────────────────────────────────────────────
+    // A party is a leader plus up to PARTY_MAX - 1 invited members. Every
+    // change re-sends the full roster to all members, and members get a
+    // PARTYSTATUS snapshot every PARTY_STATUS_INTERVAL for the party panel.
+    //   Client → server (or /party and /p chat commands):
+    //     PARTY|INVITE|target_id   PARTY|ACCEPT   PARTY|DECLINE
+    //     PARTY|LEAVE              PARTY|KICK|target_id
+    //     PARTYCHAT|msg
+    //   Server → client:
+    //     PARTY|party_id|leader_id|member_id,member_id,...  (party_id 0 = no party)
+    //     PARTYINVITE|from_id|from_name
+    //     PARTYCHAT|from_id|from_name|msg
+    //     PARTYSTATUS|party_id|id,map,x,y,away|id,map,x,y,away|...
+    const PARTY_MAX = parseInt(process.env.PARTY_MAX) || 4;
+    const PARTY_INVITE_TTL = 60000;
+    const PARTY_STATUS_INTERVAL = 2000;
+
+    let nextPartyId = 1;
+    const parties = new Map();  // party id → { id, leader, members: [player ids] }
+
+    function partyMembers(party) {
+        return party.members.map(getPlayerById).filter(Boolean);
+    }
+
+    // Shown in the dashboard's Party column
+    function partyLabel(info) {
+        const party = parties.get(info.partyId);
+        if (!party) return '';
+        return `#${party.id}` + (party.leader === info.id ? ' (leader)' : '');
+    }
+
+    function partySystem(party, text) {
+        for (const p of partyMembers(party)) sendSystem(p, text);
+    }
+
+    function pushParty(party) {
+        const pkt = encode('PARTY', party.id, party.leader, party.members.join(','));
+        for (const p of partyMembers(party)) {
+            sendTo(p, pkt);
+            dashEvent('player_update', { id: p.id, party: partyLabel(p) });
+        }
+    }
+
+    function partyInvite(info, target) {
+        const party = parties.get(info.partyId);
+        if (target.id === info.id) { sendSystem(info, 'You can\'t invite yourself.'); return; }
+        if (party && party.leader !== info.id) { sendSystem(info, 'Only the party leader can invite.'); return; }
+        if (party && party.members.length >= PARTY_MAX) { sendSystem(info, 'Your party is full.'); return; }
+        if (target.partyId) { sendSystem(info, `${target.name} is already in a party.`); return; }
+
+        // The party itself is only created once someone accepts
+        target.partyInvite = { fromId: info.id, expires: Date.now() + PARTY_INVITE_TTL };
+        sendOr(target, 'party', encode('PARTYINVITE', info.id, info.name),
+            encode('CHAT', 0, 'Server', `${info.name} invited you to a party. Type /party accept or /party decline.`));
+        sendSystem(info, `Invited ${target.name} to your party.`);
+    }
+
+    function partyAccept(info) {
+        const invite = info.partyInvite;
+        info.partyInvite = null;
+        if (!invite || invite.expires < Date.now()) { sendSystem(info, 'You have no pending party invite.'); return; }
+        if (info.partyId) { sendSystem(info, 'Leave your current party first (/party leave).'); return; }
+
+        const inviter = getPlayerById(invite.fromId);
+        let party = inviter && parties.get(inviter.partyId);
+        if (!inviter || (party && party.leader !== inviter.id)) { sendSystem(info, 'That invite is no longer valid.'); return; }
+        if (party && party.members.length >= PARTY_MAX) { sendSystem(info, 'That party is full.'); return; }
+
+        if (!party) {
+            party = { id: nextPartyId++, leader: inviter.id, members: [inviter.id] };
+            parties.set(party.id, party);
+            inviter.partyId = party.id;
+        }
+        party.members.push(info.id);
+        info.partyId = party.id;
+
+        pushParty(party);
+        partySystem(party, `${info.name} joined the party.`);
+        dashLog(`${info.name} joined party #${party.id} (leader ${inviter.name})`);
+    }
+
+    function partyDecline(info) {
+        const invite = info.partyInvite;
+        info.partyInvite = null;
+        if (!invite) { sendSystem(info, 'You have no pending party invite.'); return; }
+        const inviter = getPlayerById(invite.fromId);
+        if (inviter) sendSystem(inviter, `${info.name} declined your party invite.`);
+        sendSystem(info, 'Invite declined.');
+    }
+
+    function partyLeave(info) {
+        const party = parties.get(info.partyId);
+        if (!party) { sendSystem(info, 'You are not in a party.'); return; }
+        removeFromParty(party, info, 'left the party');
+    }
+
+    function partyKick(info, target) {
+        const party = parties.get(info.partyId);
+        if (!party || party.leader !== info.id) { sendSystem(info, 'Only the party leader can kick.'); return; }
+        if (target.id === info.id || target.partyId !== party.id) { sendSystem(info, `${target.name} is not in your party.`); return; }
+        sendSystem(target, 'You were removed from the party.');
+        removeFromParty(party, target, 'was removed from the party');
+    }
+
+    function removeFromParty(party, info, reason) {
+        party.members = party.members.filter(id => id !== info.id);
+        info.partyId = 0;
+        sendTo(info, encode('PARTY', 0, 0, ''));
+        dashEvent('player_update', { id: info.id, party: '' });
+
+        // A party of one is no party
+        if (party.members.length < 2) {
+            for (const p of partyMembers(party)) {
+                p.partyId = 0;
+                sendTo(p, encode('PARTY', 0, 0, ''));
+                sendSystem(p, `${info.name} ${reason}. Your party was disbanded.`);
+                dashEvent('player_update', { id: p.id, party: '' });
+            }
+            parties.delete(party.id);
+            return;
+        }
+
+        if (party.leader === info.id) party.leader = party.members[0];
+        pushParty(party);
+        partySystem(party, `${info.name} ${reason}.`);
+    }
+
+    function partyChat(info, msg) {
+        msg = cleanChat(msg);
+        const party = parties.get(info.partyId);
+        if (!msg) return;
+        if (isMuted(info)) { sendSystem(info, 'You are muted.'); return; }
+        if (!party) { sendSystem(info, 'You are not in a party.'); return; }
+
+        const pkt = encode('PARTYCHAT', info.id, info.name, msg);
+        const fallback = encode('CHAT', info.id, `[Party] ${info.name}`, msg);
+        for (const p of partyMembers(party)) sendOr(p, 'party', pkt, fallback);
+        dashChat({ name: info.name, msg, party: party.id });
+    }
+
+    function handlePartyPacket(info, fields) {
+        const action = String(fields[0] || '').toUpperCase();
+        switch (action) {
+            case 'INVITE':
+            case 'KICK': {
+                const target = getPlayerById(parseInt(fields[1]));
+                if (!target) { sendSystem(info, 'That player is not online.'); return; }
+                if (action === 'INVITE') partyInvite(info, target);
+                else partyKick(info, target);
+                break;
+            }
+            case 'ACCEPT': partyAccept(info); break;
+            case 'DECLINE': partyDecline(info); break;
+            case 'LEAVE': partyLeave(info); break;
+        }
+    }
+
+    every(() => {
+        for (const party of parties.values()) {
+            const members = partyMembers(party);
+            const status = members.map(p => [p.id, p.map === null ? '' : p.map, p.x === undefined ? '' : p.x,
+                p.y === undefined ? '' : p.y, p.detached ? 1 : 0].join(','));
+            const pkt = encode('PARTYSTATUS', party.id, ...status);
+            for (const p of members) {
+                if (!p.detached) sendTo(p, pkt);
+            }
+        }
+    }, PARTY_STATUS_INTERVAL);
+
+    // ─── SHARED GAME STATE ──────────────────────────────────────────────────
+    // Server-held switches, variables and per-map self switches so co-op
+    // progress is the same for everyone. Every change is broadcast; joining
+    // clients get the full set right after WELCOME. Saved to DATA_DIR.
+    //   Client → server:
+    //     SETSWITCH|id|0/1           GETSWITCH|id
+    //     SETVAR|id|value            GETVAR|id
+    //     SETSELFSW|map|event|A-D|0/1    GETSELFSW|map|event|A-D
+    //   Server → client:
+    //     SWITCH|id|0/1   VAR|id|value   SELFSW|map|event|A-D|0/1
+    const STATE_FILE = 'shared_state.json';
+    const MAX_STATE_ID = 5000;
+    const MAX_VARIABLE = 99999999;  // RMVX variable range
+    // Self switch keys are open-ended (any map, any event), so their number is
+    // capped; switches and variables are bounded by MAX_STATE_ID already
+    const MAX_SELF_SWITCHES = parseInt(process.env.MAX_SELF_SWITCHES) || 2000;
+    const STATE_FULL_LOG_EVERY = 60000;
+
+    const sharedState = Object.assign({ switches: {}, variables: {}, selfSwitches: {} }, loadJSON(STATE_FILE, {}));
+    let stateSaveTimer = null;
+    let stateFullLogged = 0;
+
+    // Batch bursts of changes into one write
+    function saveSharedStateSoon() {
+        if (stateSaveTimer) return;
+        stateSaveTimer = setTimeout(saveSharedState, 1000);
+    }
+
+    function saveSharedState() {
+        clearTimeout(stateSaveTimer);
+        stateSaveTimer = null;
+        saveJSON(STATE_FILE, sharedState);
+    }
+
+    function validStateId(id) {
+        return /^\d{1,4}$/.test(id) && id > 0 && id <= MAX_STATE_ID;
+    }
+
+    // Self switch keys are "map,event,letter"
+    function parseSelfSwitchKey(map, event, letter) {
+        if (!/^\d{1,6}$/.test(map) || !/^\d{1,6}$/.test(event) || !/^[A-D]$/.test(letter)) return null;
+        return `${parseInt(map)},${parseInt(event)},${letter}`;
+    }
+
+    function statePacket(kind, key) {
+        if (kind === 'switch') return encode('SWITCH', key, sharedState.switches[key] ? 1 : 0);
+        if (kind === 'variable') return encode('VAR', key, sharedState.variables[key] || 0);
+        return encode('SELFSW', ...key.split(','), sharedState.selfSwitches[key] ? 1 : 0);
+    }
+
+    // Everything that differs from the defaults (OFF / 0)
+    function stateSnapshot() {
+        const packets = [];
+        for (const key of Object.keys(sharedState.switches)) packets.push(statePacket('switch', key));
+        for (const key of Object.keys(sharedState.variables)) packets.push(statePacket('variable', key));
+        for (const key of Object.keys(sharedState.selfSwitches)) packets.push(statePacket('selfSwitch', key));
+        return packets;
+    }
+
+    // kind: 'switch' | 'variable' | 'selfSwitch'. Returns false if unchanged.
+    function setSharedState(kind, key, value, by) {
+        const table = kind === 'switch' ? sharedState.switches
+            : kind === 'variable' ? sharedState.variables : sharedState.selfSwitches;
+        const old = table[key] || (kind === 'variable' ? 0 : false);
+        if (old === value) return false;
+        if (kind === 'selfSwitch' && !(key in table) && Object.keys(table).length >= MAX_SELF_SWITCHES) {
+            const now = Date.now();
+            if (now - stateFullLogged > STATE_FULL_LOG_EVERY) {
+                stateFullLogged = now;
+                log(`Self switch ${key} from ${by} refused: ${MAX_SELF_SWITCHES} self switches already ON`);
+                dashLog(`Self switch limit reached (${MAX_SELF_SWITCHES}); new ones are refused (last: ${key} from ${by})`);
+            }
+            return false;
+        }
+
+        // Defaults are dropped so the snapshot stays small
+        if (value === 0 || value === false) delete table[key];
+        else table[key] = value;
+
+        broadcast(statePacket(kind, key));
+        dashAdminEvent('shared_state_change', { kind, key, value, by });
+        saveSharedStateSoon();
+        return true;
+    }
+
+    function handleStatePacket(info, parts) {
+        switch (parts[0]) {
+            case 'SETSWITCH':
+                if (validStateId(parts[1])) setSharedState('switch', String(parseInt(parts[1])), parts[2] === '1', info.name);
+                break;
+            case 'SETVAR': {
+                if (!validStateId(parts[1]) || !/^-?\d{1,9}$/.test(parts[2] || '')) return;
+                const value = Math.max(-MAX_VARIABLE, Math.min(MAX_VARIABLE, parseInt(parts[2])));
+                setSharedState('variable', String(parseInt(parts[1])), value, info.name);
+                break;
+            }
+            case 'SETSELFSW': {
+                const key = parseSelfSwitchKey(parts[1], parts[2], parts[3]);
+                // Refused (limit reached) or unchanged: tell the sender the real value
+                if (key && !setSharedState('selfSwitch', key, parts[4] === '1', info.name)) sendTo(info, statePacket('selfSwitch', key));
+                break;
+            }
+            case 'GETSWITCH':
+                if (validStateId(parts[1])) sendTo(info, statePacket('switch', String(parseInt(parts[1]))));
+                break;
+            case 'GETVAR':
+                if (validStateId(parts[1])) sendTo(info, statePacket('variable', String(parseInt(parts[1]))));
+                break;
+            case 'GETSELFSW': {
+                const key = parseSelfSwitchKey(parts[1], parts[2], parts[3]);
+                if (key) sendTo(info, statePacket('selfSwitch', key));
+                break;
+            }
+        }
+    }
+
+    // Broadcast to dashboard
+    let ioInstance = null;
+    function dashLog(msg) { if (ioInstance) ioInstance.emit('log', msg); }
+    function dashEvent(event, data) { if (ioInstance) ioInstance.emit(event, data); }
+    // Admin-only dashboard data (viewers never receive it)
+    function dashAdminEvent(event, data) { if (ioInstance) ioInstance.to('admins').emit(event, data); }
+
+    // Generate secure token for HTTP clients
+    function generateToken() {
+        return crypto.randomBytes(16).toString('hex');
+    }
+
+    // ─── TRADING ────────────────────────────────────────────────────────────
+    // Two-sided item/gold trades. The server only referees: it tracks each
+    // trade's state and sends COMMIT once both players have locked and then
+    // confirmed the same offers. Changing an offer clears both locks, so a
+    // confirmation always refers to what is on the table. Inventories live
+    // on the clients; applying COMMIT is their job.
+    //   Client → server:
+    //     TRADE|REQUEST|target_id     TRADE|ACCEPT|trade_id   TRADE|DECLINE|trade_id
+    //     TRADE|OFFER|trade_id|gold|items                     (items: kind:id:qty,...)
+    //     TRADE|LOCK|trade_id         TRADE|CONFIRM|trade_id  TRADE|CANCEL|trade_id
+    //   Server → client:
+    //     TRADE|REQUEST|trade_id|from_id|from_name
+    //     TRADE|OPEN|trade_id|partner_id|partner_name
+    //     TRADE|OFFER|trade_id|player_id|gold|items
+    //     TRADE|STATE|trade_id|my_lock|my_confirm|their_lock|their_confirm
+    //     TRADE|COMMIT|trade_id|give_gold|give_items|get_gold|get_items
+    //     TRADE|CANCEL|trade_id|reason
+    // item kinds: i = item, w = weapon, a = armor
+    const TRADE_REQUEST_TTL = 30000;
+    const TRADE_MAX_ITEMS = 20;
+    const TRADE_MAX_GOLD = 9999999;  // RMVX gold cap
+    const TRADE_LOG_FILE = 'trades.log';
+    const TRADE_LOG_KEEP = 100;  // completed trades kept in memory for the dashboard
+
+    let nextTradeId = 1;
+    const trades = new Map();  // trade id → { id, state, created, sides: [side, side] }
+                               // side: { id, name, gold, items, locked, confirmed }
+    const tradeLog = loadTradeLog();
+
+    function loadTradeLog() {
+        try {
+            const lines = fs.readFileSync(path.join(DATA_DIR, TRADE_LOG_FILE), 'utf8').split('\n').filter(Boolean);
+            return lines.slice(-TRADE_LOG_KEEP).map(l => JSON.parse(l));
+        } catch (e) {
+            return [];
+        }
+    }
+
+    function recordTrade(entry) {
+        tradeLog.push(entry);
+        if (tradeLog.length > TRADE_LOG_KEEP) tradeLog.shift();
+        fs.mkdir(DATA_DIR, { recursive: true }, () => {
+            fs.appendFile(path.join(DATA_DIR, TRADE_LOG_FILE), JSON.stringify(entry) + '\n', (err) => {
+                if (err) log(`Could not write ${TRADE_LOG_FILE}: ${err.message}`);
+            });
+        });
+        dashAdminEvent('trade_completed', entry);
+    }
+
+    // "kind:id:qty,..." → [{ kind, id, qty }] or null if malformed
+    function parseTradeItems(text) {
+        if (!text) return [];
+        const items = [];
+        for (const entry of String(text).split(',')) {
+            const m = /^([iwa]):(\d{1,4}):(\d{1,2})$/.exec(entry);
+            if (!m || parseInt(m[2]) < 1 || parseInt(m[3]) < 1) return null;
+            items.push({ kind: m[1], id: parseInt(m[2]), qty: parseInt(m[3]) });
+        }
+        return items.length <= TRADE_MAX_ITEMS ? items : null;
+    }
+
+    function formatTradeItems(items) {
+        return items.map(i => `${i.kind}:${i.id}:${i.qty}`).join(',');
+    }
+
+    function tradeSide(trade, playerId) {
+        return trade.sides.find(s => s.id === playerId);
+    }
+
+    function tradePartner(trade, playerId) {
+        return trade.sides.find(s => s.id !== playerId);
+    }
+
+    function sendTradeState(trade) {
+        for (const side of trade.sides) {
+            const other = tradePartner(trade, side.id);
+            const p = getPlayerById(side.id);
+            if (p) sendTo(p, encode('TRADE', 'STATE', trade.id, side.locked ? 1 : 0, side.confirmed ? 1 : 0,
+                other.locked ? 1 : 0, other.confirmed ? 1 : 0));
+        }
+    }
+
+    function tradeRequest(info, target) {
+        if (!target || target.id === info.id) { sendSystem(info, 'That player is not available to trade.'); return; }
+        if (!supports(target, 'trade')) { sendSystem(info, `${target.name}'s client can't trade.`); return; }
+        if (info.tradeId) { sendSystem(info, 'Finish your current trade first.'); return; }
+        if (target.tradeId) { sendSystem(info, `${target.name} is busy trading.`); return; }
+
+        const trade = {
+            id: nextTradeId++, state: 'pending', created: Date.now(),
+            sides: [info, target].map(p => ({ id: p.id, name: p.name, gold: 0, items: [], locked: false, confirmed: false }))
+        };
+        trades.set(trade.id, trade);
+        info.tradeId = trade.id;
+        target.tradeId = trade.id;
+        trade.timer = setTimeout(() => cancelTrade(trade, 'Request timed out'), TRADE_REQUEST_TTL);
+        sendTo(target, encode('TRADE', 'REQUEST', trade.id, info.id, info.name));
+    }
+
+    function tradeAccept(info, trade) {
+        if (trade.state !== 'pending' || trade.sides[1].id !== info.id) return;
+        clearTimeout(trade.timer);
+        trade.state = 'open';
+        for (const side of trade.sides) {
+            const other = tradePartner(trade, side.id);
+            const p = getPlayerById(side.id);
+            if (p) sendTo(p, encode('TRADE', 'OPEN', trade.id, other.id, other.name));
+        }
+    }
+
+    function tradeOffer(info, trade, goldText, itemsText) {
+        if (trade.state !== 'open') return;
+        const gold = /^\d{1,7}$/.test(goldText || '0') ? parseInt(goldText || '0') : -1;
+        const items = parseTradeItems(itemsText);
+        if (gold < 0 || gold > TRADE_MAX_GOLD || !items) { sendSystem(info, 'Invalid trade offer.'); return; }
+
+        const side = tradeSide(trade, info.id);
+        side.gold = gold;
+        side.items = items;
+        for (const s of trade.sides) { s.locked = false; s.confirmed = false; }
+
+        const pkt = encode('TRADE', 'OFFER', trade.id, info.id, gold, formatTradeItems(items));
+        for (const s of trade.sides) {
+            const p = getPlayerById(s.id);
+            if (p) sendTo(p, pkt);
+        }
+        sendTradeState(trade);
+    }
+
+    function tradeLock(info, trade) {
+        if (trade.state !== 'open') return;
+        tradeSide(trade, info.id).locked = true;
+        sendTradeState(trade);
+    }
+
+    function tradeConfirm(info, trade) {
+        if (trade.state !== 'open') return;
+        if (!trade.sides.every(s => s.locked)) { sendSystem(info, 'Both players must lock before confirming.'); return; }
+        tradeSide(trade, info.id).confirmed = true;
+        sendTradeState(trade);
+        if (trade.sides.every(s => s.confirmed)) commitTrade(trade);
+    }
+
+    function commitTrade(trade) {
+        trade.state = 'done';
+        for (const side of trade.sides) {
+            const other = tradePartner(trade, side.id);
+            const p = getPlayerById(side.id);
+            if (!p) continue;
+            sendTo(p, encode('TRADE', 'COMMIT', trade.id, side.gold, formatTradeItems(side.items), other.gold, formatTradeItems(other.items)));
+            p.tradeId = 0;
+        }
+        trades.delete(trade.id);
+
+        const [a, b] = trade.sides;
+        recordTrade({
+            id: trade.id, time: new Date().toISOString(),
+            a: { id: a.id, name: a.name, gold: a.gold, items: formatTradeItems(a.items) },
+            b: { id: b.id, name: b.name, gold: b.gold, items: formatTradeItems(b.items) }
+        });
+        log(`Trade #${trade.id}: ${a.name} ⇄ ${b.name}`);
+        dashLog(`Trade completed: ${a.name} ⇄ ${b.name}`);
+    }
+
+    function cancelTrade(trade, reason) {
+        if (!trades.has(trade.id)) return;
+        clearTimeout(trade.timer);
+        trades.delete(trade.id);
+        for (const side of trade.sides) {
+            const p = getPlayerById(side.id);
+            if (!p) continue;
+            p.tradeId = 0;
+            sendTo(p, encode('TRADE', 'CANCEL', trade.id, reason));
+        }
+    }
+
+    // Called whenever a player drops or leaves: no trade survives a disconnect
+    function cancelTradeFor(info, reason) {
+        const trade = trades.get(info.tradeId);
+        if (trade) cancelTrade(trade, reason);
+        info.tradeId = 0;
+    }
+
+    function handleTradePacket(info, fields) {
+        const action = String(fields[0] || '').toUpperCase();
+        if (action === 'REQUEST') { tradeRequest(info, getPlayerById(parseInt(fields[1]))); return; }
+
+        // Every other action names a trade this player is part of
+        const trade = trades.get(parseInt(fields[1]));
+        if (!trade || info.tradeId !== trade.id) return;
+        switch (action) {
+            case 'ACCEPT': tradeAccept(info, trade); break;
+            case 'DECLINE': cancelTrade(trade, `${info.name} declined`); break;
+            case 'OFFER': tradeOffer(info, trade, fields[2], fields[3]); break;
+            case 'LOCK': tradeLock(info, trade); break;
+            case 'CONFIRM': tradeConfirm(info, trade); break;
+            case 'CANCEL': cancelTrade(trade, `${info.name} cancelled`); break;
+        }
+    }
+
+    // ─── HISTORY ────────────────────────────────────────────────────────────
+    // Ring buffer of chat and join/leave/kick events, saved to history.json so
+    // a dashboard opened later (or after a restart) can catch up.
+    //   { time, type: 'chat' | 'join' | 'leave' | 'kick', name, msg, ...chat flags }
+    const HISTORY_FILE = 'history.json';
+    const HISTORY_MAX = parseInt(process.env.HISTORY_MAX) || 500;
+    const HISTORY_TYPES = ['chat', 'join', 'leave', 'kick'];
+
+    const history = loadJSON(HISTORY_FILE, []).slice(-HISTORY_MAX);
+    let historySaveTimer = null;
+
+    function recordHistory(type, fields) {
+        const entry = { time: Date.now(), type, ...fields };
+        history.push(entry);
+        if (history.length > HISTORY_MAX) history.shift();
+        if (!historySaveTimer) historySaveTimer = setTimeout(saveHistory, 5000);
+        dashEvent('history_entry', entry);
+    }
+
+    function saveHistory() {
+        clearTimeout(historySaveTimer);
+        historySaveTimer = null;
+        saveJSON(HISTORY_FILE, history);
+    }
+
+    // Chat as seen by the dashboard: shown live and kept in the history
+    function dashChat(data) {
+        recordHistory('chat', data);
+        dashEvent('chat', data);
+    }
+
+    // type: one of HISTORY_TYPES or '' for all; query matches name or message
+    function filterHistory(type, query) {
+        query = (query || '').toLowerCase();
+        return history.filter(e => (!type || e.type === type)
+            && (!query || `${e.name} ${e.msg}`.toLowerCase().includes(query)));
+    }
+
+    function historyCSV(entries) {
+        const cell = v => /[",\r\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+        const rows = entries.map(e => {
+            const scope = e.party ? `party ${e.party}` : e.private ? `to ${e.to}` : e.emote ? 'emote' : '';
+            return [new Date(e.time).toISOString(), e.type, e.name || '', e.msg || '', scope].map(v => cell(String(v))).join(',');
+        });
+        return ['time,type,name,message,scope', ...rows].join('\r\n') + '\r\n';
+    }
+
+    // Last public chat lines for a player who just joined
+    function chatBackfill() {
+        if (!serverConfig.chatBackfill) return [];
+        return history.filter(e => e.type === 'chat' && !e.party && !e.private && !e.emote)
+            .slice(-serverConfig.chatBackfill)
+            .map(e => encode('CHAT', 0, e.name, e.msg));
+    }
+
+    // ─── METRICS ────────────────────────────────────────────────────────────
+    // Served in the Prometheus text format at /metrics. Counters live here;
+    // gauges (players, queue depths) are read when scraped.
+    const FANOUT_BUCKETS = [0.0001, 0.0005, 0.001, 0.005, 0.01, 0.05, 0.1];  // seconds
+    const MAX_PACKET_LABELS = 64;
+    const LOOP_RESOLUTION = 20;  // ms; the sampler's own interval, subtracted from each reading
+
+    const metrics = {
+        joins: new Map(),       // transport → count
+        leaves: new Map(),      // reason → count
+        timeouts: new Map(),    // transport → count
+        packetsIn: new Map(),   // packet type → count
+        packetsOut: new Map(),  // packet type → count
+        bytesOut: new Map(),    // transport → bytes
+        queueOverflows: new Map(),   // overflow policy → count
+        slowDisconnects: new Map(),  // transport → count
+        fanout: { buckets: FANOUT_BUCKETS.map(() => 0), sum: 0, count: 0 }
+    };
+    const loopDelay = monitorEventLoopDelay({ resolution: LOOP_RESOLUTION });  // enabled by start()
+
+    function countMetric(map, key, amount = 1) {
+        map.set(key, (map.get(key) || 0) + amount);
+    }
+
+    // Odd packet types are lumped together so clients can't grow the label set
+    function countPacket(map, type) {
+        const ok = /^[A-Z]{1,16}$/.test(type) && (map.has(type) || map.size < MAX_PACKET_LABELS);
+        countMetric(map, ok ? type : 'OTHER');
+    }
+
+    function countSent(info, data) {
+        countPacket(metrics.packetsOut, data.substring(0, data.search(/[|\n]/)));
+        countMetric(metrics.bytesOut, info.mode, Buffer.byteLength(data));
+    }
+
+    function observeFanout(started) {
+        const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+        const fanout = metrics.fanout;
+        FANOUT_BUCKETS.forEach((le, i) => { if (seconds <= le) fanout.buckets[i]++; });
+        fanout.sum += seconds;
+        fanout.count++;
+    }
+
+    function metricsText() {
+        const lines = [];
+        const label = v => String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+        const metric = (name, type, help, samples) => {
+            lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+            for (const [labels, value] of samples) lines.push(`${name}${labels} ${value}`);
+        };
+        const byLabel = (map, key) => [...map].map(([k, v]) => [`{${key}="${label(k)}"}`, v]);
+
+        const players = new Map([['TCP', 0], ['HTTP', 0], ['WS', 0], ['AWAY', 0]]);
+        for (const p of getAllPlayers()) countMetric(players, p.detached ? 'AWAY' : p.mode);
+        const queues = [...httpClients.values()].map(p => p.queue.filter(pkt => pkt !== null).length);
+
+        metric('vxu_players', 'gauge', 'Players online by transport (AWAY = inside the resume grace window)', byLabel(players, 'transport'));
+        metric('vxu_joins_total', 'counter', 'Player joins by transport', byLabel(metrics.joins, 'transport'));
+        metric('vxu_leaves_total', 'counter', 'Players removed, by reason', byLabel(metrics.leaves, 'reason'));
+        metric('vxu_timeouts_total', 'counter', 'Connections dropped for not polling / not answering pings', byLabel(metrics.timeouts, 'transport'));
+        metric('vxu_packets_in_total', 'counter', 'Packets received by type', byLabel(metrics.packetsIn, 'type'));
+        metric('vxu_packets_out_total', 'counter', 'Packets sent by type', byLabel(metrics.packetsOut, 'type'));
+        metric('vxu_bytes_out_total', 'counter', 'Bytes sent to game clients by transport', byLabel(metrics.bytesOut, 'transport'));
+        metric('vxu_http_queue_depth', 'gauge', 'Packets waiting for HTTP clients to poll', [
+            ['{stat="total"}', queues.reduce((a, b) => a + b, 0)],
+            ['{stat="max"}', queues.length ? Math.max(...queues) : 0]
+        ]);
+        metric('vxu_http_queue_overflows_total', 'counter', 'HTTP queues that hit HTTP_QUEUE_MAX, by policy applied', byLabel(metrics.queueOverflows, 'policy'));
+        metric('vxu_slow_disconnects_total', 'counter', 'Stream clients dropped for exceeding STREAM_MAX_BUFFER', byLabel(metrics.slowDisconnects, 'transport'));
+        const fanout = metrics.fanout;
+        const lag = ns => (Math.max(0, (ns || 0) / 1e6 - LOOP_RESOLUTION) / 1000).toFixed(6);
+        metric('vxu_broadcast_seconds', 'histogram', 'Time to fan one packet out to every recipient', [
+            ...FANOUT_BUCKETS.map((le, i) => [`_bucket{le="${le}"}`, fanout.buckets[i]]),
+            ['_bucket{le="+Inf"}', fanout.count],
+            ['_sum', fanout.sum.toFixed(6)],
+            ['_count', fanout.count]
+        ]);
+        metric('vxu_event_loop_lag_seconds', 'gauge', 'Event loop delay since the last scrape', [
+            ['{stat="mean"}', lag(loopDelay.mean)],
+            ['{stat="p99"}', lag(loopDelay.percentile(99))],
+            ['{stat="max"}', lag(loopDelay.max)]
+        ]);
+        loopDelay.reset();
+        return lines.join('\n') + '\n';
+    }
+
+    // ─── TOKEN BUCKETS ──────────────────────────────────────────────────────
+    // buckets: a Map owned by the caller (per player, per IP, ...).
+    // Each key refills at `rate` tokens/second up to `burst`.
+    // Returns true if a token was available.
+    function takeToken(buckets, key, rate, burst) {
+        const now = Date.now();
+        let bucket = buckets.get(key);
+        if (!bucket) {
+            bucket = { tokens: burst, last: now };
+            buckets.set(key, bucket);
+        }
+        bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.last) / 1000 * rate);
+        bucket.last = now;
+        if (bucket.tokens < 1) return false;
+        bucket.tokens--;
+        return true;
+    }
+
+    // ─── BANS ───────────────────────────────────────────────────────────────
+    // Kept in bans.json and checked when a connection opens and at JOIN. A ban
+    // matches a name (compared like isNameTaken), one IP or an IPv4 CIDR range.
+    //   { id, type: 'name' | 'ip' | 'range', value, reason, by, created, expires }
+    // expires is a timestamp, or null for a permanent ban. HTTP and WebSocket
+    // players are matched on requestIP(), so IP bans behind a proxy only hold
+    // if TRUST_PROXY is right.
+    const BANS_FILE = 'bans.json';
+    const BAN_TYPES = ['name', 'ip', 'range'];
+
+    const bans = loadJSON(BANS_FILE, []);
+    let nextBanId = bans.reduce((max, ban) => Math.max(max, ban.id), 0) + 1;
+
+    function ipv4ToInt(ip) {
+        const m = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/.exec(ip);
+        if (!m || m.slice(1).some(n => n > 255)) return null;
+        return ((m[1] << 24) | (m[2] << 16) | (m[3] << 8) | m[4]) >>> 0;
+    }
+
+    // "10.0.0.0/24" → { base, mask }, or null if malformed
+    function parseRange(range) {
+        const [addr, bits] = String(range).split('/');
+        const base = ipv4ToInt(addr);
+        const size = bits === undefined ? 32 : Number(bits);
+        if (base === null || !Number.isInteger(size) || size < 0 || size > 32) return null;
+        const mask = size === 0 ? 0 : (~0 << (32 - size)) >>> 0;
+        return { base: (base & mask) >>> 0, mask };
+    }
+
+    function banMatches(ban, name, ip) {
+        if (ban.type === 'name') return !!name && nameKey(ban.value) === nameKey(name);
+        if (ban.type === 'ip') return !!ip && ban.value === ip;
+        const range = parseRange(ban.value);
+        const addr = ipv4ToInt(ip || '');
+        return !!range && addr !== null && ((addr & range.mask) >>> 0) === range.base;
+    }
+
+    function saveBans() {
+        saveJSON(BANS_FILE, bans);
+        dashAdminEvent('bans', bans);
+    }
+
+    // The ban covering this name and/or IP, or null. Expired bans are dropped.
+    function findBan(name, ip) {
+        const now = Date.now();
+        const live = bans.filter(ban => !ban.expires || ban.expires > now);
+        if (live.length !== bans.length) {
+            bans.splice(0, bans.length, ...live);
+            saveBans();
+        }
+        return bans.find(ban => banMatches(ban, name, ip)) || null;
+    }
+
+    // Refusal text sent with REJECT / the HTTP 403
+    function banMessage(ban) {
+        const until = ban.expires ? ` until ${new Date(ban.expires).toISOString().substr(0, 16).replace('T', ' ')} UTC` : '';
+        return `Banned${until}${ban.reason ? `: ${ban.reason}` : ''}`;
+    }
+
+    // Add a ban and disconnect everyone it covers. minutes <= 0 = permanent.
+    // Returns the ban, or an error string.
+    function addBan(type, value, reason, by, minutes) {
+        value = String(value || '').trim();
+        if (!BAN_TYPES.includes(type)) return 'Unknown ban type';
+        if (!value) return 'Nothing to ban';
+        if (type === 'range' && !parseRange(value)) return 'Invalid range (use e.g. 10.0.0.0/24)';
+
+        const now = Date.now();
+        const ban = {
+            id: nextBanId++, type, value,
+            reason: truncateText(normalizeText(reason || '').trim(), 100),
+            by, created: now,
+            expires: minutes > 0 ? now + Math.round(minutes * 60000) : null
+        };
+        bans.push(ban);
+        saveBans();
+        log(`Ban #${ban.id}: ${type} ${value} by ${by} — ${banMessage(ban)}`);
+        dashLog(`Banned ${type} ${value} (by ${by}${ban.expires ? `, ${Math.round(minutes)} min` : ''}${ban.reason ? `, ${ban.reason}` : ''})`);
+
+        const clients = [...tcpClients.values(), ...wsClients.values(), ...httpClients.values(), ...detachedClients.values()];
+        for (const info of clients) {
+            if (!info.kicked && banMatches(ban, info.id !== null ? info.name : null, info.ip)) {
+                kickPlayer(info, 'Banned', banMessage(ban));
+            }
+        }
+        return ban;
+    }
+
+    function liftBan(id, by) {
+        const idx = bans.findIndex(ban => ban.id === id);
+        if (idx < 0) return;
+        const [ban] = bans.splice(idx, 1);
+        saveBans();
+        log(`Ban #${ban.id} lifted by ${by}`);
+        dashLog(`Lifted ban on ${ban.type} ${ban.value} (by ${by})`);
+    }
+
+    // ─── MODERATION ─────────────────────────────────────────────────────────
+    // Per-player actions taken from the dashboard. Each one is appended to
+    // MOD_LOG_FILE (one JSON object per line) with who did it, to whom, why
+    // and when.
+    //   TELEPORT|map|x|y   move to map/x/y now (server → client); the next POS
+    //                      landing there passes movement validation
+    const MOD_LOG_FILE = 'moderation.log';
+    const MOD_LOG_KEEP = 100;  // actions kept in memory for the dashboard
+    const MAX_MUTE_MINUTES = 7 * 24 * 60;
+
+    const modLog = loadModLog();
+
+    function loadModLog() {
+        try {
+            const lines = fs.readFileSync(path.join(DATA_DIR, MOD_LOG_FILE), 'utf8').split('\n').filter(Boolean);
+            return lines.slice(-MOD_LOG_KEEP).map(l => JSON.parse(l));
+        } catch (e) {
+            return [];
+        }
+    }
+
+    function recordModeration(action, admin, info, reason, detail = '') {
+        const entry = {
+            time: new Date().toISOString(), action, admin,
+            targetId: info.id, target: info.name,
+            reason: truncateText(normalizeText(reason || '').trim(), 100),
+            detail
+        };
+        modLog.push(entry);
+        if (modLog.length > MOD_LOG_KEEP) modLog.shift();
+        fs.mkdir(DATA_DIR, { recursive: true }, () => {
+            fs.appendFile(path.join(DATA_DIR, MOD_LOG_FILE), JSON.stringify(entry) + '\n', (err) => {
+                if (err) log(`Could not write ${MOD_LOG_FILE}: ${err.message}`);
+            });
+        });
+        log(`Moderation: ${action} ${info.name} (ID ${info.id}) by ${admin}${detail ? ` — ${detail}` : ''}${entry.reason ? ` (${entry.reason})` : ''}`);
+        dashLog(`${admin} ${action}: ${info.name}${detail ? ` — ${detail}` : ''}${entry.reason ? ` (${entry.reason})` : ''}`);
+        dashAdminEvent('moderation_action', entry);
+        return entry;
+    }
+
+    function adminKick(info, by, reason) {
+        recordModeration('kicked', by, info, reason);
+        kickPlayer(info, 'Kicked', reason ? `Kicked: ${reason}` : 'Kicked');
+    }
+
+    // Chat from "Admin" to everyone; returns the cleaned message, or null if empty
+    function adminBroadcast(msg) {
+        msg = cleanChat(msg);
+        if (!msg) return null;
+        broadcast(encode('CHAT', 0, 'Admin', msg));
+        dashChat({ name: 'Admin', msg });
+        return msg;
+    }
+
+    // minutes <= 0 lifts the mute
+    function mutePlayer(info, minutes, reason) {
+        minutes = Math.min(MAX_MUTE_MINUTES, Math.max(0, parseFloat(minutes) || 0));
+        info.mutedUntil = minutes > 0 ? Date.now() + Math.round(minutes * 60000) : 0;
+        if (minutes > 0) sendSystem(info, `You have been muted for ${Math.round(minutes)} minute(s)${reason ? `: ${reason}` : '.'}`);
+        else sendSystem(info, 'You are no longer muted.');
+        return minutes > 0 ? `${Math.round(minutes)} min` : 'lifted';
+    }
+
+    // Returns an error string, or null once the TELEPORT is on its way
+    function teleportPlayer(info, map, x, y) {
+        if (![map, x, y].every(v => INT_PATTERN.test(String(v)) && parseInt(v) >= 0)) return 'Map, X and Y must be whole numbers';
+        if (info.detached) return `${info.name} is not connected`;
+        if (!supports(info, 'teleport')) return `${info.name}'s client does not support teleport`;
+        map = parseInt(map); x = parseInt(x); y = parseInt(y);
+        acceptTransfer(info, map, x, y);
+        sendTo(info, encode('TELEPORT', map, x, y));
+        return null;
+    }
+
+    // Returns an error string, or null once everyone has been told the new name
+    function renamePlayer(info, name) {
+        name = normalizeText(String(name || '')).replace(/\s+/g, ' ').trim();
+        const error = checkName(name);
+        if (error) return error;
+        if (nameKey(name) !== nameKey(info.name) && isNameTaken(name)) return 'That name is already in use';
+
+        info.name = name;
+        // Other clients only learn names from ADDPLAYER, so re-add the player
+        broadcast(encode('DELPLAYER', info.id), info.id);
+        broadcast(encode('ADDPLAYER', info.id, info.name, info.char_name, info.char_idx), info.id);
+        if (info.map !== null) {
+            for (const p of getAllPlayers()) {
+                if (p.id === info.id || p.map !== info.map) continue;
+                sendTo(p, encode('MAPENTER', info.id, info.map));
+                if (info.pos) sendTo(p, info.pos);
+            }
+        }
+        sendSystem(info, `An admin has renamed you to ${name}.`);
+        dashEvent('player_update', { id: info.id, name });
+        return null;
+    }
+
+    // ─── FLOOD PROTECTION ───────────────────────────────────────────────────
+    // Every packet spends a token from the sender's bucket for its type and one
+    // from its IP's shared bucket (see RATE_LIMITS); penalties escalate as in
+    // FLOOD. Each action taken is reported in the dashboard log.
+    const floodState = new Map();  // ip → { buckets, strikes, windowStart, offences[] }
+
+    function floodRecord(ip) {
+        let record = floodState.get(ip);
+        if (!record) {
+            record = { buckets: new Map(), strikes: 0, windowStart: Date.now(), offences: [] };
+            floodState.set(ip, record);
+        }
+        return record;
+    }
+
+    function isMuted(info) {
+        return !!info.mutedUntil && info.mutedUntil > Date.now();
+    }
+
+    // Spend a token for one packet of `type`. False = drop the packet.
+    function allowPacket(info, type) {
+        const record = floodRecord(info.ip);
+        const key = hasOwn(RATE_LIMITS, type) ? type : 'packet';
+        if (!info.buckets) info.buckets = new Map();
+        if (takeToken(record.buckets, 'ip', RATE_LIMITS.ip.rate, RATE_LIMITS.ip.burst)
+            && takeToken(info.buckets, key, RATE_LIMITS[key].rate, RATE_LIMITS[key].burst)) return true;
+        addStrike(info.ip, info);
+        return false;
+    }
+
+    // JOIN over TCP/WebSocket and /api/join share one bucket per IP
+    function allowJoin(ip, info) {
+        if (takeToken(floodRecord(ip).buckets, 'join', RATE_LIMITS.join.rate, RATE_LIMITS.join.burst)) return true;
+        addStrike(ip, info);
+        return false;
+    }
+
+    // Gate for the HTTP game routes; answers the request itself when refusing
+    function allowRequest(req, res) {
+        const ip = requestIP(req);
+        const ban = findBan(null, ip);
+        if (ban) { res.writeHead(403, API_HEADERS); res.end(banMessage(ban)); return false; }
+        if (takeToken(floodRecord(ip).buckets, 'ip', RATE_LIMITS.ip.rate, RATE_LIMITS.ip.burst)) return true;
+        addStrike(ip, null);
+        res.writeHead(429, API_HEADERS);
+        res.end('Too many requests');
+        return false;
+    }
+
+    function addStrike(ip, info) {
+        const record = floodRecord(ip);
+        const now = Date.now();
+        if (now - record.windowStart > FLOOD.window) {
+            record.windowStart = now;
+            record.strikes = 0;
+        }
+        record.strikes++;
+
+        if (record.strikes === FLOOD.muteAt && info && info.id !== null && !isMuted(info)) {
+            info.mutedUntil = now + FLOOD.muteSecs * 1000;
+            sendSystem(info, `You are muted for ${FLOOD.muteSecs}s for flooding.`);
+            dashLog(`Flood: muted ${info.name} (${ip}) for ${FLOOD.muteSecs}s`);
+        }
+        if (record.strikes < FLOOD.kickAt) return;
+
+        record.strikes = 0;
+        record.offences = record.offences.filter(t => now - t < FLOOD.banWindow);
+        record.offences.push(now);
+        if (record.offences.length >= FLOOD.banAfter) {
+            record.offences = [];
+            addBan('ip', ip, 'Flooding', 'flood protection', FLOOD.banSecs / 60);
+        } else if (info && !info.kicked) {
+            dashLog(`Flood: disconnected ${info.id !== null ? info.name : 'connecting client'} (${ip})`);
+            kickPlayer(info, 'Kicked for flooding');
+        } else {
+            dashLog(`Flood: throttling requests from ${ip}`);
+        }
+    }
+
+    // Forget IPs that have gone quiet
+    every(() => {
+        const now = Date.now();
+        for (const [ip, record] of floodState) {
+            if (now - record.windowStart > FLOOD.banWindow) floodState.delete(ip);
+        }
+    }, 60000);
+
+    // ─── CUSTOM EVENTS ──────────────────────────────────────────────────────
+    // A generic relay so new game-side features don't need server code.
+    // Only event names on the admin-managed whitelist are relayed; each entry
+    // says which scopes it may use, how big its payload may be and how often
+    // one player may send it.
+    //   Client → server:  EVENT|name|scope|payload...   scope: all, map or a player ID
+    //   Server → client:  EVENT|from_id|name|payload...
+    // Whitelist entry: { scopes: ['all', 'map', 'player'], maxBytes, ratePerSec }
+    const EVENTS_FILE = 'events.json';
+    const EVENT_NAME_PATTERN = /^[A-Za-z0-9_]{1,32}$/;
+    const EVENT_SCOPES = ['all', 'map', 'player'];
+
+    const eventWhitelist = loadEventWhitelist();
+
+    // No prototype, so names like "constructor" or "__proto__" are never
+    // mistaken for entries; hand-edited rules are cleaned like dashboard ones
+    function loadEventWhitelist() {
+        const list = Object.create(null);
+        const saved = loadJSON(EVENTS_FILE, {});
+        if (!saved || typeof saved !== 'object') return list;
+        for (const [name, rule] of Object.entries(saved)) {
+            if (EVENT_NAME_PATTERN.test(name) && rule && typeof rule === 'object') list[name] = cleanEventRule(rule);
+        }
+        return list;
+    }
+
+    // Clamp an admin-supplied whitelist entry to sane values
+    function cleanEventRule(rule) {
+        rule = rule || {};
+        const scopes = (Array.isArray(rule.scopes) ? rule.scopes : []).filter(sc => EVENT_SCOPES.includes(sc));
+        return {
+            scopes: scopes.length ? scopes : ['map'],
+            maxBytes: Math.max(0, Math.min(MAX_LINE_BYTES, parseInt(rule.maxBytes) || 256)),
+            ratePerSec: Math.max(0.1, Math.min(50, parseFloat(rule.ratePerSec) || 2))
+        };
+    }
+
+    function rejectEvent(info, name, reason) {
+        // One dashboard line per player every few seconds is plenty
+        const now = Date.now();
+        if (info.lastEventReject && now - info.lastEventReject < 3000) return;
+        info.lastEventReject = now;
+        dashLog(`Event rejected: "${name}" from ${info.name} (${reason})`);
+    }
+
+    function handleEvent(info, fields) {
+        const [name, scope, ...payload] = fields;
+        const rule = hasOwn(eventWhitelist, name || '') ? eventWhitelist[name] : null;
+        if (!name || !EVENT_NAME_PATTERN.test(name) || !rule) { rejectEvent(info, name || '?', 'not whitelisted'); return; }
+
+        const scopeKind = scope === 'all' || scope === 'map' ? scope : 'player';
+        if (!rule.scopes.includes(scopeKind)) { rejectEvent(info, name, `scope ${scopeKind} not allowed`); return; }
+        if (Buffer.byteLength(payload.join(DELIM)) > rule.maxBytes) { rejectEvent(info, name, 'payload too large'); return; }
+
+        if (!info.eventBuckets) info.eventBuckets = new Map();
+        if (!takeToken(info.eventBuckets, name, rule.ratePerSec, Math.max(1, Math.ceil(rule.ratePerSec)))) {
+            rejectEvent(info, name, 'rate limit');
+            return;
+        }
+
+        const pkt = encode('EVENT', info.id, name, ...payload);
+        if (scopeKind === 'all') {
+            broadcast(pkt, info.id);
+        } else if (scopeKind === 'map') {
+            if (info.map !== null) broadcastMap(info.map, pkt, info.id);
+        } else {
+            const target = getPlayerById(parseInt(scope));
+            if (!target) { rejectEvent(info, name, 'no such target'); return; }
+            sendTo(target, pkt);
+        }
+    }
+
+    function setEventRule(name, rule) {
+        if (rule) eventWhitelist[name] = cleanEventRule(rule);
+        else delete eventWhitelist[name];
+        saveJSON(EVENTS_FILE, eventWhitelist);
+        dashAdminEvent('event_whitelist', eventWhitelist);
+    }
+
+    // ─── PLUGINS ────────────────────────────────────────────────────────────
+    // Every .js file in PLUGIN_DIR is a plugin. It exports a function that is
+    // called with a registration object when plugins load (at start() and on
+    // "Reload Plugins" in the dashboard):
+    //   module.exports = (plugin) => {
+    //       plugin.onJoin((player) => player.name === 'Admin' ? 'Name reserved' : null);  // a string refuses the join
+    //       plugin.onChat((player, msg) => msg.replace(/darn/gi, '****'));  // a string rewrites, false blocks
+    //       plugin.onPos((player, pos) => pos.map !== 13);                  // false vetoes the move
+    //       plugin.onLeave((player, reason) => plugin.log(`${player.name} left`));
+    //       plugin.packet('ROLL', (player, fields) => plugin.toMap(player.map, 'ROLL', player.id, 1 + Math.floor(Math.random() * 6)));
+    //   };
+    // plugin.packet() adds a packet type for TCP, WebSocket and HTTP sync lines
+    // (built-in types always win). Sending: plugin.toPlayer(id, ...fields),
+    // plugin.toMap(map, ...fields), plugin.toAll(...fields). plugin.players()
+    // lists who is online. Hooks run synchronously; one that throws is logged,
+    // shown on the dashboard and treated as if it had returned nothing. An
+    // async hook's result is not waited for (it counts as nothing), but its
+    // rejection is reported the same way.
+    const PLUGIN_HOOKS = ['onJoin', 'onChat', 'onPos', 'onLeave'];
+    const PLUGIN_PACKET_PATTERN = /^[A-Z][A-Z0-9_]{0,31}$/;
+
+    let plugins = [];  // { name, file, hooks: { onJoin: [fn], ... }, packets: Map<type, fn>, error }
+
+    function pluginError(plugin, where, err) {
+        plugin.error = `${where}: ${err && err.message ? err.message : err}`;
+        log(`Plugin ${plugin.name} failed in ${plugin.error}`);
+        dashLog(`Plugin error — ${plugin.name} (${plugin.error})`);
+        dashAdminEvent('plugins', pluginList());
+    }
+
+    function callPlugin(plugin, where, fn, args) {
+        let result;
+        try {
+            result = fn(...args);
+        } catch (e) {
+            pluginError(plugin, where, e);
+            return undefined;
+        }
+        if (result && typeof result.then === 'function') {
+            Promise.resolve(result).catch(e => pluginError(plugin, where, e));
+            return undefined;
+        }
+        return result;
+    }
+
+    function runHooks(hook, fn) {
+        for (const plugin of plugins) {
+            for (const handler of plugin.hooks[hook]) {
+                if (fn(plugin, handler) === false) return;
+            }
+        }
+    }
+
+    // join = { name, charName, charIdx, ip, transport } — returns a refusal or null
+    function pluginJoinRefusal(join) {
+        let refusal = null;
+        runHooks('onJoin', (plugin, handler) => {
+            const result = callPlugin(plugin, 'onJoin', handler, [{ ...join }]);
+            if (result === false) refusal = 'Join refused';
+            else if (typeof result === 'string' && result) refusal = cleanChat(result) || 'Join refused';
+            return refusal === null;
+        });
+        return refusal;
+    }
+
+    // Returns the (possibly rewritten) message, or null if a plugin blocked it
+    function pluginChat(info, msg) {
+        runHooks('onChat', (plugin, handler) => {
+            const result = callPlugin(plugin, 'onChat', handler, [publicPlayer(info), msg]);
+            if (result === false) msg = null;
+            else if (typeof result === 'string') msg = cleanChat(result) || null;
+            return msg !== null;
+        });
+        return msg;
+    }
+
+    function pluginAllowsPos(info, pos) {
+        let allowed = true;
+        runHooks('onPos', (plugin, handler) => {
+            allowed = callPlugin(plugin, 'onPos', handler, [publicPlayer(info), { ...pos }]) !== false;
+            return allowed;
+        });
+        return allowed;
+    }
+
+    function pluginLeave(info, reason) {
+        runHooks('onLeave', (plugin, handler) => { callPlugin(plugin, 'onLeave', handler, [publicPlayer(info), reason]); });
+    }
+
+    // Custom packet types; returns false if no plugin registered this type
+    function handlePluginPacket(info, type, fields) {
+        const plugin = plugins.find(p => p.packets.has(type));
+        if (!plugin) return false;
+        callPlugin(plugin, type, plugin.packets.get(type), [publicPlayer(info), fields]);
+        return true;
+    }
+
+    function pluginApi(plugin) {
+        const api = {
+            name: plugin.name,
+            packet(type, handler) {
+                if (!PLUGIN_PACKET_PATTERN.test(type)) throw new Error(`bad packet type "${type}"`);
+                plugin.packets.set(type, handler);
+            },
+            toPlayer(id, ...fields) {
+                const target = getPlayerById(parseInt(id));
+                if (target) sendTo(target, encode(...fields));
+            },
+            toMap(map, ...fields) { broadcastMap(String(map), encode(...fields)); },
+            toAll(...fields) { broadcast(encode(...fields)); },
+            players: () => getAllPlayers().map(publicPlayer),
+            log: (msg) => log(`[${plugin.name}] ${msg}`)
+        };
+        for (const hook of PLUGIN_HOOKS) api[hook] = (handler) => { plugin.hooks[hook].push(handler); };
+        return api;
+    }
+
+    // (Re)load every plugin from disk. A plugin that fails to load stays in
+    // the list with its error and no hooks, so the others keep working.
+    function loadPlugins() {
+        let files = [];
+        try {
+            files = fs.readdirSync(PLUGIN_DIR).filter(f => f.endsWith('.js')).sort();
+        } catch (e) {
+            if (e.code !== 'ENOENT') log(`Could not read plugin directory ${PLUGIN_DIR}: ${e.message}`);
+        }
+
+        plugins = files.map((file) => {
+            const plugin = { name: path.basename(file, '.js'), file: path.join(PLUGIN_DIR, file), hooks: {}, packets: new Map(), error: null };
+            for (const hook of PLUGIN_HOOKS) plugin.hooks[hook] = [];
+            try {
+                delete require.cache[require.resolve(plugin.file)];
+                const setup = require(plugin.file);
+                if (typeof setup !== 'function') throw new Error('module.exports is not a function');
+                setup(pluginApi(plugin));
+            } catch (e) {
+                for (const hook of PLUGIN_HOOKS) plugin.hooks[hook] = [];
+                plugin.packets.clear();
+                plugin.error = `load: ${e.message}`;
+                log(`Plugin ${plugin.name} failed to load: ${e.message}`);
+            }
+            return plugin;
+        });
+
+        if (plugins.length) log(`Loaded ${plugins.filter(p => !p.error).length}/${plugins.length} plugin(s) from ${PLUGIN_DIR}`);
+        dashAdminEvent('plugins', pluginList());
+    }
+
+    function pluginList() {
+        return plugins.map(p => ({
+            name: p.name,
+            hooks: PLUGIN_HOOKS.filter(h => p.hooks[h].length),
+            packets: [...p.packets.keys()],
+            error: p.error
+        }));
+    }
+
+    // ─── DASHBOARD SESSIONS ─────────────────────────────────────────────────
+    // Sessions are stateless signed tokens: base64url(JSON payload) + "." + HMAC.
+    // Setting SESSION_SECRET keeps logins valid across restarts.
+    function signSession(payload) {
+        const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+        const sig = crypto.createHmac('sha256', SESSION_SECRET).update(data).digest('base64url');
+        return `${data}.${sig}`;
+    }
+
+    function verifySession(token) {
+        if (!token || typeof token !== 'string') return null;
+        const dot = token.indexOf('.');
+        if (dot < 0) return null;
+        const data = token.substring(0, dot);
+        const sig = Buffer.from(token.substring(dot + 1));
+        const expected = Buffer.from(crypto.createHmac('sha256', SESSION_SECRET).update(data).digest('base64url'));
+        if (sig.length !== expected.length || !crypto.timingSafeEqual(sig, expected)) return null;
+        try {
+            const payload = JSON.parse(Buffer.from(data, 'base64url').toString());
+            if (!payload.exp || payload.exp < Date.now()) return null;
+            return payload;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function parseCookies(header) {
+        const cookies = {};
+        if (!header) return cookies;
+        for (const pair of header.split(';')) {
+            const idx = pair.indexOf('=');
+            if (idx < 0) continue;
+            const key = pair.substring(0, idx).trim();
+            try { cookies[key] = decodeURIComponent(pair.substring(idx + 1).trim()); } catch (e) { }
+        }
+        return cookies;
+    }
+
+    function getSession(req) {
+        return verifySession(parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+    }
+
+    // Constant-time password check (hashing first evens out the lengths)
+    function passwordMatches(given, expected) {
+        if (!expected) return false;
+        const a = crypto.createHash('sha256').update(String(given)).digest();
+        const b = crypto.createHash('sha256').update(String(expected)).digest();
+        return crypto.timingSafeEqual(a, b);
+    }
+
+    // Returns 'admin', 'viewer' or null
+    function roleForPassword(pass) {
+        if (!ADMIN_LOGIN_OFF && passwordMatches(pass, ADMIN_PASS)) return 'admin';
+        if (passwordMatches(pass, VIEWER_PASS)) return 'viewer';
+        return null;
+    }
+
+    function sessionCookie(value, maxAgeMs) {
+        const secure = PUBLIC_URL && PUBLIC_URL.startsWith('https://') ? '; Secure' : '';
+        return `${SESSION_COOKIE}=${encodeURIComponent(value)}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${Math.floor(maxAgeMs / 1000)}${secure}`;
+    }
+
+    // ─── GET LOCAL IP ───────────────────────────────────────────────────────
+    function getLocalIP() {
+        const interfaces = os.networkInterfaces();
+        for (const name in interfaces) {
+            for (const iface of interfaces[name]) {
+                if (iface.family === 'IPv4' && !iface.internal) {
+                    return iface.address;
+                }
+            }
+        }
+        return '127.0.0.1';
+    }
+
+    // ─── SESSION RESUME ─────────────────────────────────────────────────────
+    // Every joined player gets a resume token in WELCOME. When a connection
+    // drops without an explicit leave, the player is detached rather than
+    // removed: they keep their ID, name and slot, and packets addressed to them
+    // are held. Reconnecting inside RESUME_GRACE with RESUME|token (TCP/WS) or
+    // /api/resume (HTTP) reattaches the same player on any transport and
+    // delivers the backlog, so other clients never see DELPLAYER/ADDPLAYER.
+    // Clients that didn't advertise the resume feature can't use the token, so
+    // they are removed at once and their name is free for a fresh JOIN.
+    //   WELCOME|id|server_name|http_token|resume_token  (http_token empty on TCP/WS)
+    //   RESUMEFAIL|reason  → the client should fall back to a fresh JOIN
+
+    function registerSession(info) {
+        info.resumeToken = generateToken();
+        sessions.set(info.resumeToken, info);
+    }
+
+    function detachPlayer(info) {
+        if (RESUME_GRACE <= 0 || !supports(info, 'resume')) { removePlayer(info, 'Left'); return; }
+        if (!running) { removePlayer(info, 'Server stopped'); return; }  // no grace timer to outlive stop()
+        cancelTradeFor(info, `${info.name} disconnected`);
+        flushHttpClient(info);
+        info.detached = true;
+        if (!info.queue) info.queue = [];
+        info.graceTimer = setTimeout(() => removePlayer(info, 'Session expired'), RESUME_GRACE);
+        detachedClients.set(info.resumeToken, info);
+
+        log(`${info.mode} Dropped: ${info.name} (ID ${info.id}) — holding for ${RESUME_GRACE / 1000}s`, logFields(info));
+        dashLog(`Player Disconnected: ${info.name} (can resume for ${RESUME_GRACE / 1000}s)`);
+        dashEvent('player_update', { id: info.id, mode: 'AWAY' });
+    }
+
+    // Final removal: the slot is released and everyone gets DELPLAYER
+    function removePlayer(info, reason) {
+        clearTimeout(info.graceTimer);
+        sessions.delete(info.resumeToken);
+        detachedClients.delete(info.resumeToken);
+        info.detached = false;
+        flushHttpClient(info);
+        cancelTradeFor(info, `${info.name} left`);
+        if (info.partyId) removeFromParty(parties.get(info.partyId), info, 'left the game');
+
+        broadcast(encode('DELPLAYER', info.id), info.id);
+        log(`${info.mode} ${reason}: ${info.name} (ID ${info.id})`, { ...logFields(info), reason });
+        countMetric(metrics.leaves, reason);
+        dashLog(`Player ${reason}: ${info.name}`);
+        recordHistory(/^(Kicked|Banned)/.test(reason) ? 'kick' : 'leave', { name: info.name, msg: reason });
+        dashEvent('player_left', info.id);
+        dashEvent('update_counts', { current: getPlayerCount(), max: serverConfig.maxPlayers });
+        instance.emit('leave', publicPlayer(info), reason);
+        pluginLeave(info, reason);
+    }
+
+    // Look up a resume token and pull the player off whatever connection they
+    // had. Returns { player, missed } or null; the caller attaches the player
+    // to its own transport and sends WELCOME followed by the missed packets.
+    function resumeSession(resumeToken) {
+        const player = sessions.get(resumeToken);
+        if (!player) return null;
+
+        if (!player.detached) {
+            // Server hasn't noticed the old connection die yet — drop it quietly
+            if (player.mode === 'TCP') { tcpClients.delete(player.socket); player.socket.destroy(); }
+            else if (player.mode === 'WS') { wsClients.delete(player.ws); player.ws.terminate(); }
+            else { httpClients.delete(player.token); flushHttpClient(player); }
+        }
+
+        clearTimeout(player.graceTimer);
+        detachedClients.delete(resumeToken);
+        player.detached = false;
+        const missed = player.queue ? takeQueue(player) : [];
+        return { player, missed };
+    }
+
+    function announceResume(player) {
+        log(`${player.mode} Resume: ${player.name} (ID ${player.id})`, logFields(player));
+        dashLog(`Player Resumed: ${player.name} (${player.mode}, ID: ${player.id})`);
+        dashEvent('player_update', { id: player.id, mode: player.mode, version: describeClient(player) });
+    }
+
+    // =========================================================================
+    //  TCP GAME SERVER (for LAN play)
+    // =========================================================================
+    const gameServer = net.createServer((socket) => {
+        const clientIP = (socket.remoteAddress || '').replace('::ffff:', '');
+        log(`TCP Connect: ${clientIP}`, { transport: 'TCP', ip: clientIP });
+        const ban = findBan(null, clientIP);
+        if (ban) {
+            socket.on('error', () => { });
+            socket.end(encode('REJECT', banMessage(ban)));
+            return;
+        }
+
+        tcpClients.set(socket, {
+            id: null, mode: 'TCP', socket, name: "Connecting...", ip: clientIP,
+            char_name: "", char_idx: 0, map: null, pos: null, buffer: Buffer.alloc(0)
+        });
+
+        socket.setNoDelay(true);
+
+        // Lines are split on raw bytes and decoded whole, so a multi-byte
+        // UTF-8 character split across two chunks still decodes correctly
+        socket.on('data', (data) => {
+            let info = tcpClients.get(socket);
+            if (!info) return;
+            info.buffer = Buffer.concat([info.buffer, data]);
+            let idx;
+            while ((idx = info.buffer.indexOf(0x0A)) !== -1) {
+                const line = info.buffer.toString('utf8', 0, idx + 1);
+                info.buffer = info.buffer.subarray(idx + 1);
+                handleGameMessage(info, line);
+                // RESUME swaps in the resumed player's record for this socket
+                info = tcpClients.get(socket);
+                if (!info) return;
+            }
+            if (info.buffer.length > MAX_LINE_BYTES) socket.destroy();
+        });
+
+        socket.on('close', () => {
+            const info = tcpClients.get(socket);
+            tcpClients.delete(socket);
+            if (info) handleStreamClose(info);
+        });
+
+        socket.on('error', () => { });
+    });
+
+    // Called once a TCP or WebSocket client has been removed from its map
+    function handleStreamClose(info) {
+        if (info.id === null) {
+            dashEvent('update_counts', { current: getPlayerCount(), max: serverConfig.maxPlayers });
+        } else if (info.kicked) {
+            removePlayer(info, info.kicked);
+        } else {
+            detachPlayer(info);
+        }
+    }
+
+    // Line protocol shared by TCP and WebSocket clients (HTTP clients reach it
+    // through extra lines in a /api/sync body)
+    function handleGameMessage(info, line) {
+        if (info.kicked) return;
+        const parts = decodeFrom(info, line);
+        if (parts.length === 0) return;
+        countPacket(metrics.packetsIn, parts[0]);
+        if (!allowPacket(info, parts[0])) return;
+
+        switch (parts[0]) {
+            case 'HELLO': {
+                if (info.id !== null) return;
+                const hello = parseHello(parts.slice(1));
+                const error = checkProtocol(hello.protocol);
+                if (error) { rejectClient(info, error); return; }
+                applyHello(info, hello);
+                sendTo(info, helloPacket());
+                break;
+            }
+            case 'JOIN': {
+                if (info.id !== null) return;
+                if (!allowJoin(info.ip, info)) { rejectClient(info, 'Too many join attempts'); return; }
+                if (getPlayerCount() >= serverConfig.maxPlayers) { rejectClient(info, 'Server full'); return; }
+                const join = parseJoin(parts.slice(1));
+                if (join.error) { rejectClient(info, join.error); return; }
+                const ban = findBan(join.name, info.ip);
+                if (ban) { rejectClient(info, banMessage(ban)); return; }
+                const refusal = pluginJoinRefusal({ name: join.name, charName: join.charName, charIdx: join.charIdx, ip: info.ip, transport: info.mode });
+                if (refusal) { rejectClient(info, refusal); return; }
+                if (!info.hello) {
+                    const error = checkProtocol(join.protocol);
+                    if (error) { rejectClient(info, error); return; }
+                    info.protocol = join.protocol;
+                }
+
+                const id = nextId++;
+                info.id = id;
+                info.name = join.name;
+                info.char_name = join.charName;
+                info.lastMove = Date.now();  // idle time counts from the join
+                info.char_idx = join.charIdx;
+                registerSession(info);
+
+                sendTo(info, encode('WELCOME', id, serverConfig.name, '', info.resumeToken, PROTOCOL_VERSION));
+                for (const pkt of stateSnapshot()) sendTo(info, pkt);
+                sendTo(info, encode('CHAT', 0, 'Server', serverConfig.motd));
+                for (const pkt of chatBackfill()) sendTo(info, pkt);
+
+                // Send all existing players (all transports) to new client
+                for (const p of getAllPlayers()) {
+                    if (p.id === id) continue;
+                    sendTo(info, encode('ADDPLAYER', p.id, p.name, p.char_name, p.char_idx));
+                }
+
+                // Announce new player to everyone else
+                broadcast(encode('ADDPLAYER', id, info.name, info.char_name, info.char_idx), id);
+
+                log(`${info.mode} Join: ${info.name} (ID ${id}, protocol ${info.protocol})`, logFields(info));
+                countMetric(metrics.joins, info.mode);
+                dashLog(`Player Joined: ${info.name} (${info.mode}, ID: ${id})`);
+                recordHistory('join', { name: info.name, msg: `${info.mode}, ID ${id}` });
+                instance.emit('join', publicPlayer(info));
+                dashEvent('player_join', { id, name: info.name, ip: info.ip, mode: info.mode, version: describeClient(info) });
+                dashEvent('update_counts', { current: getPlayerCount(), max: serverConfig.maxPlayers });
+                break;
+            }
+            case 'RESUME': {
+                if (info.id !== null) return;
+                const resumed = resumeSession(parts[1]);
+                if (!resumed) { sendTo(info, encode('RESUMEFAIL', 'Session expired')); return; }
+                const { player, missed } = resumed;
+
+                // Move the player's record onto this connection
+                player.mode = info.mode;
+                player.ip = info.ip;
+                if (info.hello) applyHello(player, info);
+                if (info.mode === 'TCP') {
+                    player.socket = info.socket;
+                    player.buffer = info.buffer;
+                    tcpClients.set(info.socket, player);
+                } else {
+                    player.ws = info.ws;
+                    player.alive = true;
+                    wsClients.set(info.ws, player);
+                }
+
+                sendTo(player, encode('WELCOME', player.id, serverConfig.name, '', player.resumeToken, PROTOCOL_VERSION));
+                for (const pkt of missed) sendTo(player, pkt);
+                announceResume(player);
+                break;
+            }
+            case 'POS': {
+                if (info.id === null || parts.length < 8) return;
+                handlePos(info, parts.slice(1, 8));
+                break;
+            }
+            case 'TRANSFER': {
+                if (info.id === null) return;
+                handleTransfer(info, parts.slice(1));
+                break;
+            }
+            case 'CHAT': {
+                if (info.id === null || parts.length < 2) return;
+                handleChat(info, parts[1]);
+                break;
+            }
+            case 'PARTY': {
+                if (info.id === null) return;
+                handlePartyPacket(info, parts.slice(1));
+                break;
+            }
+            case 'PARTYCHAT': {
+                if (info.id === null || parts.length < 2) return;
+                partyChat(info, parts[1]);
+                break;
+            }
+            case 'SETSWITCH':
+            case 'SETVAR':
+            case 'SETSELFSW':
+            case 'GETSWITCH':
+            case 'GETVAR':
+            case 'GETSELFSW': {
+                if (info.id === null) return;
+                handleStatePacket(info, parts);
+                break;
+            }
+            case 'TRADE': {
+                if (info.id === null) return;
+                handleTradePacket(info, parts.slice(1));
+                break;
+            }
+            case 'EVENT': {
+                if (info.id === null) return;
+                handleEvent(info, parts.slice(1));
+                break;
+            }
+            default: {
+                if (info.id === null) return;
+                handlePluginPacket(info, parts[0], parts.slice(1));
+            }
+        }
+    }
+
+    // =========================================================================
+    //  HTTP GAME API (for internet play — works on Render.com etc.)
+    // =========================================================================
+    //  GET  /api/hello  → HELLO|protocol|server_build|features
+    //  POST /api/join   body: NAME|CHAR_NAME|CHAR_IDX[|PROTOCOL] → WELCOME|id|name|token|resume|protocol
+    //                   (join and resume bodies may start with a HELLO line;
+    //                    the reply then starts with the server's HELLO)
+    //  POST /api/sync   body: TOKEN|MAP|X|Y|DIR|SPD|CN|CI → queued messages
+    //                   any further lines are packets, handled as on TCP
+    //       /api/sync?wait=MS  long-poll: held open until a packet is queued
+    //                          or MS passes (capped at LONGPOLL_MAX_WAIT)
+    //  POST /api/resume body: RESUME_TOKEN                → WELCOME|id|name|token|resume + missed
+    //  POST /api/leave  body: TOKEN                       → OK
+    //  POST /api/chat   body: TOKEN|MESSAGE               → OK
+    //  GET  /api/list   → server info (pipe delimited)
+    // =========================================================================
+
+    const API_HEADERS = { 'Content-Type': 'text/plain; charset=utf-8', 'Access-Control-Allow-Origin': '*' };
+
+    // Collects the body as bytes and decodes it once, same as the TCP path
+    function parseBody(req) {
+        return new Promise((resolve) => {
+            const chunks = [];
+            let size = 0;
+            req.on('data', chunk => {
+                size += chunk.length;
+                if (size > MAX_LINE_BYTES) { resolve(null); req.destroy(); return; }
+                chunks.push(chunk);
+            });
+            req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        });
+    }
+
+    // Get body from either POST body or GET ?d= query parameter
+    function getBody(req) {
+        const urlObj = require('url').parse(req.url, true);
+        // A repeated ?d= arrives as an array; only a single value is a body
+        if (req.method === 'GET' && typeof urlObj.query.d === 'string' && urlObj.query.d) {
+            // Older clients percent-encode the value twice
+            let d = urlObj.query.d;
+            try { d = decodeURIComponent(d); } catch (e) { }
+            if (Buffer.byteLength(d) > MAX_LINE_BYTES) return Promise.resolve(null);
+            return Promise.resolve(d);
+        }
+        return parseBody(req);
+    }
+
+    // Long-poll wait requested through ?wait=MS (0 = answer immediately)
+    function getWait(req) {
+        const urlObj = require('url').parse(req.url, true);
+        const wait = parseInt(urlObj.query.wait) || 0;
+        return Math.max(0, Math.min(wait, LONGPOLL_MAX_WAIT));
+    }
+
+    // Client address. Each trusted proxy appends the address it got the
+    // request from, so the client is TRUST_PROXY entries from the right;
+    // anything further left was written by the client and is ignored.
+    function requestIP(req) {
+        const direct = (req.socket.remoteAddress || '').replace('::ffff:', '');
+        const header = req.headers['x-forwarded-for'];
+        if (!TRUST_PROXY || !header) return direct;
+        const hops = String(header).split(',').map(h => h.trim()).filter(Boolean);
+        return (hops.slice(-TRUST_PROXY)[0] || direct).replace('::ffff:', '');
+    }
+
+    // Extract the path without query string
+    function getPath(url) {
+        const idx = url.indexOf('?');
+        return idx >= 0 ? url.substring(0, idx) : url;
+    }
+
+    function handleApiJoin(req, res) {
+        getBody(req).then(body => {
+            if (!body) { res.writeHead(400); res.end('Bad request'); return; }
+            const clientIP = requestIP(req);
+            if (!allowJoin(clientIP, null)) { res.writeHead(429, API_HEADERS); res.end('Too many join attempts'); return; }
+
+            if (getPlayerCount() >= serverConfig.maxPlayers) {
+                res.writeHead(503); res.end('Server full'); return;
+            }
+
+            const { hello, rest } = splitHello(body);
+            const join = parseJoin(decode(rest));
+            if (join.error) { res.writeHead(400); res.end(join.error); return; }
+            const ban = findBan(join.name, clientIP);
+            if (ban) { res.writeHead(403, API_HEADERS); res.end(banMessage(ban)); return; }
+            const refusal = pluginJoinRefusal({ name: join.name, charName: join.charName, charIdx: join.charIdx, ip: clientIP, transport: 'HTTP' });
+            if (refusal) { res.writeHead(403, API_HEADERS); res.end(refusal); return; }
+
+            const protocolError = checkProtocol(hello ? hello.protocol : join.protocol);
+            if (protocolError) { res.writeHead(426); res.end(protocolError); return; }
+
+            const id = nextId++;
+            const token = generateToken();
+
+            const clientInfo = {
+                id, mode: 'HTTP', token,
+                name: join.name,
+                ip: clientIP,
+                char_name: join.charName,
+                char_idx: join.charIdx,
+                protocol: join.protocol,
+                map: null, pos: null,
+                lastPoll: Date.now(),
+                lastMove: Date.now(),
+                queue: []
+            };
+            if (hello) applyHello(clientInfo, hello);
+
+            httpClients.set(token, clientInfo);
+            registerSession(clientInfo);
+
+            // Queue messages: welcome, motd, existing players
+            let response = hello ? helloPacket() : '';
+            response += encode('WELCOME', id, serverConfig.name, token, clientInfo.resumeToken, PROTOCOL_VERSION);
+            if (supports(clientInfo, 'sharedstate')) response += stateSnapshot().join('');
+            response += encode('CHAT', 0, 'Server', serverConfig.motd);
+            response += chatBackfill().join('');
+
+            for (const p of getAllPlayers()) {
+                if (p.id === id) continue;
+                response += encode('ADDPLAYER', p.id, p.name, p.char_name, p.char_idx);
+            }
+            if (clientInfo.protocol === 1) response = toLegacy(response);
+
+            // Announce to everyone else
+            broadcast(encode('ADDPLAYER', id, clientInfo.name, clientInfo.char_name, clientInfo.char_idx), id);
+
+            log(`HTTP Join: ${clientInfo.name} (ID ${id}, protocol ${clientInfo.protocol})`, logFields(clientInfo));
+            countMetric(metrics.joins, 'HTTP');
+            dashLog(`Player Joined: ${clientInfo.name} (HTTP, ID: ${id})`);
+            recordHistory('join', { name: clientInfo.name, msg: `HTTP, ID ${id}` });
+            instance.emit('join', publicPlayer(clientInfo));
+            dashEvent('player_join', { id, name: clientInfo.name, ip: clientIP, mode: 'HTTP', version: describeClient(clientInfo) });
+            dashEvent('update_counts', { current: getPlayerCount(), max: serverConfig.maxPlayers });
+
+            res.writeHead(200, API_HEADERS);
+            res.end(response);
+        });
+    }
+
+    function handleApiSync(req, res) {
+        getBody(req).then(body => {
+            if (!body) { res.writeHead(400); res.end('Bad'); return; }
+
+            const lines = body.split(/\r?\n/);
+            const parts = decode(lines[0]);
+            if (parts.length < 1) { res.writeHead(400); res.end('Bad'); return; }
+
+            const token = parts[0];
+            const info = httpClients.get(token);
+            if (!info) { res.writeHead(401); res.end('Invalid token'); return; }
+
+            info.lastPoll = Date.now();
+
+            // Process position if included (token|map|x|y|dir|spd|cn|ci)
+            if (parts.length >= 8) countPacket(metrics.packetsIn, 'POS');
+            if (parts.length >= 8 && allowPacket(info, 'POS')) handlePos(info, parts.slice(1, 8));
+
+            // Then any other packets the client batched up
+            for (const line of lines.slice(1)) {
+                if (line.length > 0) handleGameMessage(info, line);
+            }
+
+            // Only one poll may be parked per client; release the older one
+            flushHttpClient(info);
+
+            const wait = getWait(req);
+            info.waiting = { res, timer: null };
+            if (wait === 0 || info.queue.length > 0) {
+                // Flush queued messages to this client
+                flushHttpClient(info);
+                return;
+            }
+
+            // Park the response until something is queued or the wait runs out
+            const waiting = info.waiting;
+            waiting.timer = setTimeout(() => flushHttpClient(info), wait);
+            res.on('close', () => {
+                if (info.waiting !== waiting) return;
+                clearTimeout(waiting.timer);
+                info.waiting = null;
+            });
+        });
+    }
+
+    function handleApiChat(req, res) {
+        getBody(req).then(body => {
+            if (!body) { res.writeHead(400); res.end('Bad'); return; }
+            const parts = decode(body);
+            if (parts.length < 2) { res.writeHead(400); res.end('Bad'); return; }
+
+            const token = parts[0];
+            const info = httpClients.get(token);
+            if (!info) { res.writeHead(401); res.end('Invalid token'); return; }
+
+            info.lastPoll = Date.now();
+            countPacket(metrics.packetsIn, 'CHAT');
+            if (!allowPacket(info, 'CHAT')) { res.writeHead(429, API_HEADERS); res.end('Too many requests'); return; }
+            handleChat(info, decodeFrom(info, body)[1]);
+
+            res.writeHead(200, API_HEADERS);
+            res.end('OK');
+        });
+    }
+
+    function handleApiResume(req, res) {
+        getBody(req).then(body => {
+            if (!body) { res.writeHead(400); res.end('Bad'); return; }
+            const { hello, rest } = splitHello(body);
+            if (hello) {
+                const protocolError = checkProtocol(hello.protocol);
+                if (protocolError) { res.writeHead(426); res.end(protocolError); return; }
+            }
+            const resumed = resumeSession(rest.trim());
+            if (!resumed) { res.writeHead(410); res.end('Session expired'); return; }
+            const { player, missed } = resumed;
+            if (hello) applyHello(player, hello);
+
+            // Move the player's record onto a fresh HTTP token
+            const token = generateToken();
+            player.mode = 'HTTP';
+            player.token = token;
+            player.ip = requestIP(req);
+            player.lastPoll = Date.now();
+            player.waiting = null;
+            httpClients.set(token, player);
+
+            let response = hello ? helloPacket() : '';
+            response += encode('WELCOME', player.id, serverConfig.name, token, player.resumeToken, PROTOCOL_VERSION);
+            if (player.protocol === 1) response = toLegacy(response);
+            response += missed.join('');  // already converted when queued
+            announceResume(player);
+
+            res.writeHead(200, API_HEADERS);
+            res.end(response);
+        });
+    }
+
+    function handleApiLeave(req, res) {
+        getBody(req).then(body => {
+            if (!body) { res.writeHead(400); res.end('Bad'); return; }
+            const token = body.trim();
+            const info = httpClients.get(token);
+            if (info) {
+                httpClients.delete(token);
+                removePlayer(info, 'Left');
+            }
+            res.writeHead(200, API_HEADERS);
+            res.end('OK');
+        });
+    }
+
+    function handleApiHello(req, res) {
+        res.writeHead(200, API_HEADERS);
+        res.end(helloPacket());
+    }
+
+    function handleApiList(req, res) {
+        const count = getPlayerCount();
+        // Determine what IP to show
+        let displayIP;
+        if (PUBLIC_URL) {
+            // Cloud deployment — show the public URL (strip protocol for game client)
+            displayIP = PUBLIC_URL.replace(/^https?:\/\//, '');
+        } else {
+            displayIP = getLocalIP();
+        }
+        const port = PUBLIC_URL ? 443 : ports.game;
+        const mode = PUBLIC_URL ? 'HTTP' : 'TCP';
+
+        // Every mode this server accepts; WS lives at WS_PATH on the web port
+        const modes = [];
+        if (!PUBLIC_URL) modes.push('TCP');
+        modes.push('HTTP');
+        if (wsServer) modes.push('WS');
+
+        // Format: NAME|IP_OR_HOST|PORT|CURRENT|MAX|MODE|MODES
+        const data = [serverConfig.name, displayIP, port, count, serverConfig.maxPlayers, mode, modes.join(',')]
+            .map(escapeField).join(DELIM);
+        res.writeHead(200, API_HEADERS);
+        res.end(data);
+    }
+
+    // ─── HTTP TIMEOUT CLEANUP ───────────────────────────────────────────────
+    every(() => {
+        const now = Date.now();
+        for (const [token, info] of httpClients) {
+            if (info.waiting) continue;  // a parked long-poll counts as polling
+            if (now - info.lastPoll > HTTP_TIMEOUT) {
+                log(`HTTP Timeout: ${info.name} (ID ${info.id})`, logFields(info));
+                countMetric(metrics.timeouts, 'HTTP');
+                httpClients.delete(token);
+                detachPlayer(info);
+            }
+        }
+    }, 10000);
+
+    // ─── DASHBOARD LOGIN ────────────────────────────────────────────────────
+    function handleLogin(req, res) {
+        if (req.method === 'GET') {
+            if (getSession(req)) { res.writeHead(302, { 'Location': '/' }); res.end(); return; }
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.end(loginHTML(''));
+            return;
+        }
+        if (req.method !== 'POST') { res.writeHead(405); res.end('Method not allowed'); return; }
+
+        parseBody(req).then(body => {
+            if (body === null) { res.writeHead(400); res.end('Bad request'); return; }
+            const form = new URLSearchParams(body);
+            const clientIP = requestIP(req);
+            // Every attempt spends a token; a successful login refills them,
+            // so only failures add up
+            const attempts = floodRecord(clientIP).buckets;
+            if (!takeToken(attempts, 'login', RATE_LIMITS.login.rate, RATE_LIMITS.login.burst)) {
+                log(`Dashboard login throttled for ${clientIP}`, { ip: clientIP });
+                res.writeHead(429, { 'Content-Type': 'text/html', 'Retry-After': String(Math.ceil(1 / RATE_LIMITS.login.rate)) });
+                res.end(loginHTML('Too many failed logins. Try again later.'));
+                return;
+            }
+            const role = roleForPassword(form.get('password') || '');
+
+            if (!role) {
+                log(`Dashboard login failed from ${clientIP}`, { ip: clientIP });
+                res.writeHead(401, { 'Content-Type': 'text/html' });
+                res.end(loginHTML(ADMIN_LOGIN_OFF ? 'Wrong password. (Admin login stays off until ADMIN_PASS is set.)' : 'Wrong password.'));
+                return;
+            }
+            attempts.delete('login');
+
+            const name = (form.get('name') || '').trim().substring(0, 24) || role;
+            const token = signSession({ name, role, exp: Date.now() + SESSION_TTL });
+            log(`Dashboard login: ${name} (${role}) from ${clientIP}`, { name, role, ip: clientIP });
+            res.writeHead(302, { 'Set-Cookie': sessionCookie(token, SESSION_TTL), 'Location': '/' });
+            res.end();
+        });
+    }
+
+    // =========================================================================
+    //  ADMIN API (JSON, for bots and scripts)
+    // =========================================================================
+    //  Every request needs "Authorization: Bearer <ADMIN_API_TOKEN>"; without
+    //  ADMIN_API_TOKEN set the API answers 503. Errors are
+    //  { "error": code, "message": text } with a matching HTTP status.
+    //  GET   /api/admin                    → this list, machine-readable (ADMIN_API_SCHEMA)
+    //  GET   /api/admin/players            → [player]
+    //  GET   /api/admin/players/:id        → player
+    //  POST  /api/admin/players/:id/kick   body: { reason? }      → { kicked: player }
+    //  GET   /api/admin/config             → config
+    //  PATCH /api/admin/config             body: partial config   → { config, changed, pinned }
+    //  POST  /api/admin/broadcast          body: { message }      → { message }
+    //  GET   /api/admin/chat?limit=N       → recent chat history, oldest first
+    // =========================================================================
+    const ADMIN_API_PREFIX = '/api/admin';
+    const JSON_HEADERS = { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' };
+    const PLAYER_SCHEMA = {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' }, name: { type: 'string' },
+            transport: { enum: ['TCP', 'HTTP', 'WS'] }, away: { type: 'boolean' }, ip: { type: 'string' },
+            map: { type: ['string', 'null'] }, x: { type: ['integer', 'null'] }, y: { type: ['integer', 'null'] },
+            dir: { type: ['integer', 'null'] }, speed: { type: ['integer', 'null'] },
+            lastMove: { type: 'integer', description: 'ms since the epoch of the last accepted POS (or the join)' },
+            idle: { type: 'boolean' },
+            charName: { type: 'string' }, charIdx: { type: 'integer' },
+            protocol: { type: 'integer' }, partyId: { type: ['integer', 'null'] }
+        }
+    };
+
+    // JSON Schema for the config object, from CONFIG_SCHEMA
+    function configJSONSchema() {
+        const properties = {};
+        for (const [key, rule] of Object.entries(CONFIG_SCHEMA)) {
+            properties[key] = rule.type === 'int'
+                ? { type: 'integer', minimum: rule.min, maximum: rule.max, default: rule.default }
+                : { type: 'string', minLength: 1, maxLength: rule.max, default: rule.default };
+        }
+        return { type: 'object', properties, additionalProperties: false };
+    }
+
+    function adminApiSchema() {
+        const config = configJSONSchema();
+        const error = { type: 'object', properties: { error: { type: 'string' }, message: { type: 'string' } } };
+        return {
+            name: 'VXU admin API',
+            version: 1,
+            auth: { type: 'bearer', header: 'Authorization' },
+            error,
+            endpoints: [
+                { method: 'GET', path: `${ADMIN_API_PREFIX}`, description: 'This schema' },
+                { method: 'GET', path: `${ADMIN_API_PREFIX}/players`, description: 'Players online or waiting to resume',
+                    response: { type: 'array', items: PLAYER_SCHEMA } },
+                { method: 'GET', path: `${ADMIN_API_PREFIX}/players/{id}`, description: 'One player', response: PLAYER_SCHEMA, errors: [404] },
+                { method: 'POST', path: `${ADMIN_API_PREFIX}/players/{id}/kick`, description: 'Disconnect a player (recorded in the moderation log)',
+                    body: { type: 'object', properties: { reason: { type: 'string', maxLength: 100 } } },
+                    response: { type: 'object', properties: { kicked: PLAYER_SCHEMA } }, errors: [400, 404] },
+                { method: 'GET', path: `${ADMIN_API_PREFIX}/config`, description: 'Current server config', response: config },
+                { method: 'PATCH', path: `${ADMIN_API_PREFIX}/config`, description: 'Change some config values; saved to config.json',
+                    body: { ...config, required: [] },
+                    response: { type: 'object', properties: { config, changed: { type: 'array', items: { type: 'string' } }, pinned: { type: 'array', items: { type: 'string' } } } },
+                    errors: [400] },
+                { method: 'POST', path: `${ADMIN_API_PREFIX}/broadcast`, description: 'Chat to everyone as "Admin"',
+                    body: { type: 'object', properties: { message: { type: 'string', minLength: 1, maxLength: MAX_CHAT_LENGTH } }, required: ['message'] },
+                    response: { type: 'object', properties: { message: { type: 'string' } } }, errors: [400] },
+                { method: 'GET', path: `${ADMIN_API_PREFIX}/chat`, description: 'Recent chat, oldest first',
+                    query: { limit: { type: 'integer', minimum: 1, maximum: HISTORY_MAX, default: 50 } },
+                    response: { type: 'array', items: { type: 'object', properties: { time: { type: 'integer' }, name: { type: 'string' }, msg: { type: 'string' } } } } }
+            ]
+        };
+    }
+
+    function sendJSON(res, status, data) {
+        res.writeHead(status, JSON_HEADERS);
+        res.end(JSON.stringify(data));
+    }
+
+    function sendApiError(res, status, error, message, headers = {}) {
+        res.writeHead(status, { ...JSON_HEADERS, ...headers });
+        res.end(JSON.stringify({ error, message }));
+    }
+
+    // Parsed JSON object body ({} when empty), or null after answering 400/413
+    function readJSONBody(req, res) {
+        return parseBody(req).then(body => {
+            if (body === null) { sendApiError(res, 413, 'too_large', `Body is over ${MAX_LINE_BYTES} bytes`); return null; }
+            if (!body.trim()) return {};
+            let data;
+            try { data = JSON.parse(body); } catch (e) { data = undefined; }
+            if (!data || typeof data !== 'object' || Array.isArray(data)) {
+                sendApiError(res, 400, 'invalid_json', 'Body must be a JSON object');
+                return null;
+            }
+            return data;
+        });
+    }
+
+    // Strict check for PATCH /config — the dashboard clamps, the API refuses
+    function configErrors(input) {
+        const errors = [];
+        for (const [key, value] of Object.entries(input)) {
+            const rule = hasOwn(CONFIG_SCHEMA, key) ? CONFIG_SCHEMA[key] : null;
+            if (!rule) { errors.push(`unknown field "${key}"`); continue; }
+            if (rule.type === 'int') {
+                if (!Number.isInteger(value) || value < rule.min || value > rule.max) errors.push(`${key} must be an integer from ${rule.min} to ${rule.max}`);
+            } else if (typeof value !== 'string' || !value.trim() || textLength(value) > rule.max) {
+                errors.push(`${key} must be a non-empty string of at most ${rule.max} characters`);
+            }
+        }
+        return errors;
+    }
+
+    function handleAdminApi(req, res, path) {
+        if (!ADMIN_API_TOKEN) { sendApiError(res, 503, 'disabled', 'Set ADMIN_API_TOKEN to enable the admin API'); return; }
+        if (!allowRequest(req, res)) return;
+        const auth = req.headers.authorization || '';
+        if (!auth.startsWith('Bearer ') || !passwordMatches(auth.substring(7), ADMIN_API_TOKEN)) {
+            log(`Admin API: bad token from ${requestIP(req)}`, { ip: requestIP(req) });
+            sendApiError(res, 401, 'unauthorized', 'Missing or wrong bearer token', { 'WWW-Authenticate': 'Bearer' });
+            return;
+        }
+
+        const route = path.substring(ADMIN_API_PREFIX.length).replace(/\/+$/, '');
+        const allow = (...methods) => {
+            if (methods.includes(req.method)) return true;
+            sendApiError(res, 405, 'method_not_allowed', `Use ${methods.join(' or ')}`, { 'Allow': methods.join(', ') });
+            return false;
+        };
+        const playerMatch = /^\/players\/(\d+)(\/kick)?$/.exec(route);
+
+        if (route === '' || route === '/schema') {
+            if (allow('GET')) sendJSON(res, 200, adminApiSchema());
+        } else if (route === '/players') {
+            if (allow('GET')) sendJSON(res, 200, getAllPlayers().map(publicPlayer));
+        } else if (playerMatch) {
+            const info = getPlayerById(parseInt(playerMatch[1]));
+            if (!playerMatch[2]) {
+                if (!allow('GET')) return;
+                if (!info) { sendApiError(res, 404, 'not_found', `No player with ID ${playerMatch[1]}`); return; }
+                sendJSON(res, 200, publicPlayer(info));
+                return;
+            }
+            if (!allow('POST')) return;
+            readJSONBody(req, res).then(body => {
+                if (!body) return;
+                if (body.reason !== undefined && typeof body.reason !== 'string') { sendApiError(res, 400, 'invalid_value', 'reason must be a string'); return; }
+                if (!info || info.kicked) { sendApiError(res, 404, 'not_found', `No player with ID ${playerMatch[1]}`); return; }
+                const player = publicPlayer(info);
+                adminKick(info, 'API', truncateText(normalizeText(body.reason || '').trim(), 100));
+                sendJSON(res, 200, { kicked: player });
+            });
+        } else if (route === '/config') {
+            if (!allow('GET', 'PATCH')) return;
+            if (req.method === 'GET') { sendJSON(res, 200, serverConfig); return; }
+            readJSONBody(req, res).then(body => {
+                if (!body) return;
+                const errors = configErrors(body);
+                if (errors.length) { sendApiError(res, 400, 'invalid_value', errors.join('; ')); return; }
+                const { changed, pinned } = updateConfig(body, 'API');
+                sendJSON(res, 200, { config: serverConfig, changed, pinned });
+            });
+        } else if (route === '/broadcast') {
+            if (!allow('POST')) return;
+            readJSONBody(req, res).then(body => {
+                if (!body) return;
+                const message = typeof body.message === 'string' ? adminBroadcast(body.message) : null;
+                if (!message) { sendApiError(res, 400, 'invalid_value', 'message must be a non-empty string'); return; }
+                sendJSON(res, 200, { message });
+            });
+        } else if (route === '/chat') {
+            if (!allow('GET')) return;
+            const query = require('url').parse(req.url, true).query;
+            const limit = Math.max(1, Math.min(HISTORY_MAX, parseInt(query.limit) || 50));
+            sendJSON(res, 200, filterHistory('chat', '').slice(-limit));
+        } else {
+            sendApiError(res, 404, 'not_found', `No route ${route || '/'}; GET ${ADMIN_API_PREFIX} lists them`);
+        }
+    }
+
+    // =========================================================================
+    //  WEB SERVER (Dashboard + HTTP API)
+    // =========================================================================
+    const httpServer = http.createServer((req, res) => {
+        // ─── API Routes (accept both GET and POST for HTTPS compatibility) ──
+        const path = getPath(req.url);
+        if (path === '/api/hello') { handleApiHello(req, res); return; }
+        if (path === '/api/join' || path === '/api/sync' || path === '/api/chat' || path === '/api/resume') {
+            if (!allowRequest(req, res)) return;
+        }
+        if (path === '/api/join') { handleApiJoin(req, res); return; }
+        if (path === '/api/sync') { handleApiSync(req, res); return; }
+        if (path === '/api/chat') { handleApiChat(req, res); return; }
+        if (path === '/api/resume') { handleApiResume(req, res); return; }
+        if (path === '/api/leave') { handleApiLeave(req, res); return; }
+        if (path === '/api/list') { handleApiList(req, res); return; }
+        // Also support /list for backwards compat
+        if (path === '/list') { handleApiList(req, res); return; }
+        if (path === ADMIN_API_PREFIX || path.startsWith(ADMIN_API_PREFIX + '/')) { handleAdminApi(req, res, path); return; }
+
+        // ─── CORS preflight ─────────────────────────────────────────────
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, {
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+                'Access-Control-Allow-Headers': 'Content-Type'
+            });
+            res.end();
+            return;
+        }
+
+        // ─── Socket.IO client library ───────────────────────────────────
+        // Let Socket.IO handle its own routes
+        if (req.url.startsWith('/socket.io')) return;
+
+        // ─── Dashboard login ────────────────────────────────────────────
+        if (path === '/login') { handleLogin(req, res); return; }
+        if (path === '/logout') {
+            res.writeHead(302, { 'Set-Cookie': sessionCookie('', 0), 'Location': '/login' });
+            res.end();
+            return;
+        }
+
+        // ─── Dashboard ──────────────────────────────────────────────────
+        if (req.method === 'GET' && (path === '/' || path === '/dashboard')) {
+            const session = getSession(req);
+            if (!session) {
+                res.writeHead(302, { 'Location': '/login' });
+                res.end();
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.end(dashboardHTML(session, {
+                gamePort: ports.game, webPort: ports.web, wsPath: wsServer ? WS_PATH : null,
+                localIP: getLocalIP(), publicUrl: PUBLIC_URL
+            }));
+            return;
+        }
+
+        // ─── History export (?type=chat&q=text&format=csv) ──────────────
+        if (req.method === 'GET' && path === '/history') {
+            if (!getSession(req)) { res.writeHead(401); res.end('Unauthorized'); return; }
+            const query = require('url').parse(req.url, true).query;
+            // A repeated parameter arrives as an array; only a single ?q= is a search
+            const entries = filterHistory(HISTORY_TYPES.includes(query.type) ? query.type : '', typeof query.q === 'string' ? query.q : '');
+            if (query.format === 'csv') {
+                res.writeHead(200, { 'Content-Type': 'text/csv; charset=utf-8', 'Content-Disposition': 'attachment; filename="history.csv"' });
+                res.end(historyCSV(entries));
+            } else {
+                res.writeHead(200, { 'Content-Type': 'application/json', 'Content-Disposition': 'attachment; filename="history.json"' });
+                res.end(JSON.stringify(entries, null, 2));
+            }
+            return;
+        }
+
+        // ─── Metrics (Prometheus text format) ───────────────────────────
+        if (req.method === 'GET' && path === '/metrics') {
+            const auth = req.headers.authorization || '';
+            if (METRICS_TOKEN && !(auth.startsWith('Bearer ') && passwordMatches(auth.substring(7), METRICS_TOKEN))) {
+                res.writeHead(401); res.end('Unauthorized'); return;
+            }
+            res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+            res.end(metricsText());
+            return;
+        }
+
+        // ─── Health check (for Render.com) ──────────────────────────────
+        if (req.method === 'GET' && req.url === '/health') {
+            res.writeHead(200, { 'Content-Type': 'text/plain' });
+            res.end('OK');
+            return;
+        }
+
+        res.writeHead(404);
+        res.end('Not found');
+    });
+
+    // ─── SOCKET.IO FOR DASHBOARD ────────────────────────────────────────────
+    let socketIoLoaded = false;
+    try {
+        const { Server } = require('socket.io');
+        ioInstance = new Server(httpServer);
+
+        // Only logged-in dashboard users may open a Socket.IO connection
+        ioInstance.use((socket, next) => {
+            const session = verifySession(parseCookies(socket.handshake.headers.cookie)[SESSION_COOKIE]);
+            if (!session) return next(new Error('unauthorized'));
+            socket.data.session = session;
+            next();
+        });
+
+        ioInstance.on('connection', (socket) => {
+            const session = socket.data.session;
+
+            // Moderation controls are admin-only; viewers just watch
+            const onAdmin = (event, handler) => {
+                socket.on(event, (...args) => {
+                    if (session.role !== 'admin') {
+                        socket.emit('log', `Permission denied: ${event} requires admin`);
+                        return;
+                    }
+                    handler(...args);
+                });
+            };
+
+            if (session.role === 'admin') {
+                socket.join('admins');
+                socket.emit('shared_state', sharedState);
+                socket.emit('trade_log', tradeLog);
+                socket.emit('event_whitelist', eventWhitelist);
+                socket.emit('bans', bans);
+                socket.emit('plugins', pluginList());
+                socket.emit('moderation_log', modLog);
+                socket.emit('positions', mapSnapshot());
+            }
+
+            socket.emit('session', { name: session.name, role: session.role });
+            socket.emit('history', history);
+            socket.emit('config', serverConfig);
+            socket.emit('update_counts', { current: getPlayerCount(), max: serverConfig.maxPlayers });
+
+            const playerList = getAllPlayers().map(p => ({
+                id: p.id, name: p.name, ip: p.ip || '?',
+                mode: p.detached ? 'AWAY' : p.mode,
+                version: describeClient(p),
+                party: partyLabel(p),
+                flagged: !!p.flagged,
+                idle: isIdle(p)
+            }));
+            socket.emit('full_player_list', playerList);
+
+            onAdmin('admin_kick', (id) => {
+                const info = getPlayerById(id);
+                if (info) adminKick(info, session.name, '');
+            });
+
+            onAdmin('admin_ban_player', (req) => {
+                const info = req && getPlayerById(req.id);
+                if (!info) return;
+                const { name, ip } = info;
+                recordModeration('banned', session.name, info, req.reason, req.minutes > 0 ? `${Math.round(req.minutes)} min` : 'permanent');
+                addBan('name', name, req.reason, session.name, req.minutes);
+                if (req.ip && ip) addBan('ip', ip, req.reason, session.name, req.minutes);
+            });
+
+            onAdmin('admin_ban_add', (req) => {
+                const result = addBan(req && req.type, req && req.value, req && req.reason, session.name, req && req.minutes);
+                if (typeof result === 'string') socket.emit('log', `Ban not added: ${result}`);
+            });
+
+            // req: { id, reason, ... } — failures are reported back to this admin only
+            const moderate = (action, handler) => onAdmin(`admin_${action}`, (req) => {
+                const info = req && getPlayerById(req.id);
+                if (!info) { socket.emit('log', `${action}: no player with ID ${req && req.id}`); return; }
+                const reason = normalizeText(String(req.reason || '')).trim();
+                const result = handler(info, req, reason);
+                if (result && result.error) { socket.emit('log', `${action} failed: ${result.error}`); return; }
+                recordModeration(result ? result.action : action, session.name, info, reason, result ? result.detail : '');
+            });
+
+            moderate('mute', (info, req, reason) => {
+                const detail = mutePlayer(info, req.minutes, reason);
+                return { action: detail === 'lifted' ? 'unmuted' : 'muted', detail: detail === 'lifted' ? '' : detail };
+            });
+
+            moderate('warn', (info, req, reason) => {
+                if (!reason) return { error: 'a warning needs a message' };
+                sendSystem(info, `Warning from the admins: ${reason}`);
+                return { action: 'warned' };
+            });
+
+            moderate('teleport', (info, req) => {
+                const error = teleportPlayer(info, req.map, req.x, req.y);
+                return error ? { error } : { action: 'teleported', detail: `map ${req.map} (${req.x}, ${req.y})` };
+            });
+
+            moderate('rename', (info, req) => {
+                const oldName = info.name;
+                const error = renamePlayer(info, req.name);
+                return error ? { error } : { action: 'renamed', detail: `${oldName} → ${info.name}` };
+            });
+
+            onAdmin('admin_unban', (id) => liftBan(id, session.name));
+
+            onAdmin('admin_chat', (msg) => adminBroadcast(msg));
+
+            onAdmin('admin_set_state', (change) => {
+                const { kind } = change || {};
+                let key = String((change && change.key) || '');
+                let value;
+                if (kind === 'switch' || kind === 'variable') {
+                    if (!validStateId(key)) return;
+                    key = String(parseInt(key));
+                } else if (kind === 'selfSwitch') {
+                    key = parseSelfSwitchKey(...key.split(','));
+                    if (!key) return;
+                } else {
+                    return;
+                }
+                if (kind === 'variable') {
+                    value = Math.max(-MAX_VARIABLE, Math.min(MAX_VARIABLE, parseInt(change.value) || 0));
+                } else {
+                    value = change.value === true || change.value === 1 || change.value === '1';
+                }
+                if (setSharedState(kind, key, value, session.name)) {
+                    dashLog(`${session.name} set ${kind} ${key} = ${value}`);
+                }
+            });
+
+            onAdmin('admin_set_event', (entry) => {
+                const name = entry && String(entry.name || '');
+                if (!EVENT_NAME_PATTERN.test(name)) return;
+                setEventRule(name, entry);
+                dashLog(`${session.name} allowed event "${name}"`);
+            });
+
+            onAdmin('admin_remove_event', (name) => {
+                if (!hasOwn(eventWhitelist, String(name))) return;
+                setEventRule(name, null);
+                dashLog(`${session.name} removed event "${name}"`);
+            });
+
+            onAdmin('update_config', (newConfig) => {
+                updateConfig(newConfig, session.name);
+                socket.emit('config', serverConfig);  // show the clamped values
+            });
+
+            onAdmin('admin_reload_config', () => reloadConfig(session.name));
+
+            onAdmin('admin_reload_plugins', () => {
+                loadPlugins();
+                dashLog(`Plugins reloaded by ${session.name} (${plugins.length} found)`);
+            });
+        });
+
+        socketIoLoaded = true;
+    } catch (e) {
+        log('Socket.IO not available — dashboard will be static. Run: npm install');
+    }
+
+    // =========================================================================
+    //  WEBSOCKET GAME SERVER (for internet play with push delivery)
+    // =========================================================================
+    //  Connect to ws(s)://host/ws and speak the TCP line protocol. Each text
+    //  frame carries one or more newline-terminated packets.
+    // =========================================================================
+    let wsServer = null;
+    try {
+        const { WebSocketServer } = require('ws');
+        wsServer = new WebSocketServer({ noServer: true, maxPayload: MAX_LINE_BYTES });
+
+        httpServer.on('upgrade', (req, socket, head) => {
+            if (getPath(req.url) !== WS_PATH) return;  // Socket.IO handles its own upgrades
+            wsServer.handleUpgrade(req, socket, head, (ws) => wsServer.emit('connection', ws, req));
+        });
+
+        wsServer.on('connection', (ws, req) => {
+            const clientIP = requestIP(req);
+            log(`WS Connect: ${clientIP}`, { transport: 'WS', ip: clientIP });
+            const ban = findBan(null, clientIP);
+            if (ban) {
+                ws.on('error', () => { });
+                ws.send(encode('REJECT', banMessage(ban)));
+                ws.close();
+                return;
+            }
+
+            const info = {
+                id: null, mode: 'WS', ws, name: "Connecting...", ip: clientIP,
+                char_name: "", char_idx: 0, map: null, pos: null, alive: true
+            };
+            wsClients.set(ws, info);
+
+            ws.on('message', (data, isBinary) => {
+                if (isBinary) return;
+                for (const line of data.toString().split(/\r?\n/)) {
+                    // Looked up per line: RESUME swaps in the resumed player's record
+                    const current = wsClients.get(ws);
+                    if (!current) return;
+                    if (line.length > 0) handleGameMessage(current, line);
+                }
+            });
+
+            ws.on('pong', () => {
+                const current = wsClients.get(ws);
+                if (current) current.alive = true;
+            });
+
+            ws.on('close', () => {
+                const current = wsClients.get(ws);
+                wsClients.delete(ws);
+                if (current) handleStreamClose(current);
+            });
+
+            ws.on('error', () => { });
+        });
+
+        // Drop connections that stop answering pings (proxies hold dead sockets open)
+        every(() => {
+            for (const [ws, info] of wsClients) {
+                if (!info.alive) {
+                    countMetric(metrics.timeouts, 'WS');
+                    ws.terminate();
+                    continue;
+                }
+                info.alive = false;
+                ws.ping();
+            }
+        }, 30000);
+    } catch (e) {
+        log('ws not available — WebSocket game mode disabled. Run: npm install');
+    }
+
+    // ─── LIFECYCLE & EMBEDDING API ──────────────────────────────────────────
+    const ports = { game: GAME_PORT, web: WEB_PORT };  // actual ports once listening
+    let running = false;
+
+    // What embedders see of a player (never the socket or tokens)
+    function publicPlayer(info) {
+        return {
+            id: info.id, name: info.name, transport: info.mode, away: !!info.detached, ip: info.ip,
+            map: info.map, x: info.x ?? null, y: info.y ?? null, dir: info.dir ?? null, speed: info.speed ?? null,
+            lastMove: info.lastMove, idle: isIdle(info),
+            charName: info.char_name, charIdx: info.char_idx,
+            protocol: info.protocol || 1, partyId: info.partyId || null
+        };
+    }
+
+    function printBanner() {
+        const localIP = getLocalIP();
+        console.log('');
+        console.log('====================================================');
+        console.log('  VXU Smart Server v3.0');
+        console.log('====================================================');
+        console.log(`  Dashboard:    http://localhost:${ports.web}`);
+        console.log(`  HTTP Game API: http://localhost:${ports.web}/api/`);
+        if (wsServer) console.log(`  WebSocket:     ws://localhost:${ports.web}${WS_PATH}`);
+        console.log(`  TCP Game Port: ${ports.game}`);
+        console.log(`  Your LAN IP:   ${localIP}`);
+        if (PUBLIC_URL) {
+            console.log(`  Public URL:    ${PUBLIC_URL}`);
+        }
+        console.log('');
+        console.log('  Server List URL (set this in VXU_Net.ini):');
+        if (PUBLIC_URL) {
+            console.log(`    ${PUBLIC_URL}/api/list`);
+        } else {
+            console.log(`    http://${localIP}:${ports.web}/api/list`);
+        }
+        console.log('');
+        console.log('  Waiting for players...');
+        console.log('====================================================');
+        console.log('');
+    }
+
+    // Listen on both ports and start the sweeps. Resolves with the instance
+    // once the web server is up; a TCP port already in use only disables
+    // TCP/LAN mode, as HTTP play still works without it.
+    function start() {
+        if (running) return Promise.resolve(instance);
+        running = true;
+        loadPlugins();
+        for (const timer of timers) timer.handle = setInterval(timer.fn, timer.ms);
+        loopDelay.enable();
+
+        const tcp = new Promise((resolve) => {
+            const onError = (err) => {
+                if (err.code === 'EADDRINUSE' && !QUIET) {
+                    console.log(`Note: TCP port ${GAME_PORT} already in use — TCP/LAN mode disabled.`);
+                    console.log('HTTP mode is still available for internet play.');
+                }
+                resolve();
+            };
+            gameServer.once('error', onError);
+            gameServer.listen(GAME_PORT, '0.0.0.0', () => {
+                gameServer.removeListener('error', onError);
+                ports.game = gameServer.address().port;
+                if (!QUIET) console.log(`  TCP Game Server: port ${ports.game} (LAN play)`);
+                resolve();
+            });
+        });
+        const web = new Promise((resolve, reject) => {
+            httpServer.once('error', reject);
+            httpServer.listen(WEB_PORT, '0.0.0.0', () => {
+                httpServer.removeListener('error', reject);
+                ports.web = httpServer.address().port;
+                resolve();
+            });
+        });
+        return Promise.all([tcp, web]).then(() => {
+            if (!QUIET) printBanner();
+            if (ADMIN_LOGIN_OFF) log('WARNING: ADMIN_PASS is not set on a public server — admin login is disabled until it is');
+            else if (ADMIN_PASS_DEFAULT) log('WARNING: ADMIN_PASS is not set — the dashboard admin password is "admin"');
+            return instance;
+        });
+    }
+
+    // Disconnect everyone, save pending state and close the listeners
+    function stop() {
+        if (!running) return Promise.resolve();
+        running = false;
+        log('Shutting down...');
+        for (const timer of timers) clearInterval(timer.handle);
+        loopDelay.disable();
+
+        // Players are removed here, not by the close handlers: those run after
+        // the promise resolves, and the history they record re-arms its save
+        const players = getAllPlayers();
+        const sockets = [...tcpClients.keys()];
+        const websockets = [...wsClients.keys()];
+        tcpClients.clear();
+        wsClients.clear();
+        httpClients.clear();
+        for (const info of players) removePlayer(info, 'Server stopped');
+        for (const sock of sockets) sock.destroy();
+        for (const ws of websockets) ws.terminate();
+        for (const trade of trades.values()) clearTimeout(trade.timer);
+        if (stateSaveTimer) saveSharedState();
+        if (historySaveTimer) saveHistory();
+
+        return new Promise((resolve) => {
+            gameServer.close();
+            if (wsServer) wsServer.close();
+            if (ioInstance) ioInstance.close();
+            if (httpServer.closeAllConnections) httpServer.closeAllConnections();
+            httpServer.close(() => resolve());
+        });
+    }
+
+    return Object.assign(instance, {
+        start,
+        stop,
+        ports,
+        players: () => getAllPlayers().map(publicPlayer),
+        getPlayer: (id) => {
+            const info = getPlayerById(id);
+            return info ? publicPlayer(info) : null;
+        },
+        kick: (id, reason = 'Kicked') => {
+            const info = getPlayerById(id);
+            if (info) kickPlayer(info, reason);
+            return !!info;
+        },
+        reloadConfig: (by = 'API') => reloadConfig(by),
+        reloadPlugins: () => { loadPlugins(); return pluginList(); },
+        config: () => ({ ...serverConfig })
+    });
+}
+
+// =========================================================================
+//  HTML DASHBOARD
+// =========================================================================
+function escapeHTML(s) {
+    return String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function loginHTML(error) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>VXU Server Login</title>
+    <style>
+        * { box-sizing: border-box; margin: 0; padding: 0; }
+        body {
+            font-family: 'Segoe UI', system-ui, sans-serif;
+            background: #0f0f1a; color: #e0e0e0;
+            min-height: 100vh; display: flex; align-items: center; justify-content: center;
+        }
+        .card {
+            background: #1a1a2e; border: 1px solid #2a2a4a;
+            border-radius: 12px; padding: 28px; width: 320px;
+        }
+        h1 { font-size: 1.3em; color: #00d4ff; margin-bottom: 20px; }
+        label { display: block; margin-bottom: 6px; font-size: 0.85em; color: #8888aa; }
+        input {
+            width: 100%; padding: 10px 12px; margin-bottom: 14px;
+            background: #0f0f1a; border: 1px solid #2a2a4a;
+            color: #e0e0e0; border-radius: 8px; font-size: 0.95em;
+        }
+        input:focus { outline: none; border-color: #00d4ff; }
+        button {
+            width: 100%; padding: 10px; border: none; border-radius: 8px;
+            background: #00d4ff; color: #000; font-weight: 600; cursor: pointer;
+        }
+        .error { color: #ef4444; font-size: 0.9em; margin-bottom: 14px; }
+    </style>
+</head>
+<body>
+<form class="card" method="POST" action="/login">
+    <h1>VXU Server Dashboard</h1>
+    ${error ? `<div class="error">${escapeHTML(error)}</div>` : ''}
+    <label>Your Name</label>
+    <input type="text" name="name" maxlength="24" placeholder="Shown in the activity log">
+    <label>Password</label>
+    <input type="password" name="password" autofocus>
+    <button type="submit">Log In</button>
+</form>
+</body>
+</html>`;
+}
+
+// server: { gamePort, webPort, wsPath (null if WebSocket is off), localIP, publicUrl }
+function dashboardHTML(session, server) {
+    const isAdmin = session.role === 'admin';
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>VXU Server Admin</title>
+    <style>
+        * { box-sizing: border-box; margin: 0; padding: 0; }
+        :root {
+            --bg: #0f0f1a; --card: #1a1a2e; --card2: #16213e;
+            --text: #e0e0e0; --muted: #8888aa;
+            --accent: #00d4ff; --accent2: #7c3aed;
+            --green: #22c55e; --red: #ef4444; --orange: #f59e0b;
+            --border: #2a2a4a;
+        }
+        body {
+            font-family: 'Segoe UI', system-ui, sans-serif;
+            background: var(--bg);
+            color: var(--text);
+            padding: 20px;
+            min-height: 100vh;
+        }
+
+        /* Header */
+        .header {
+            display: flex; justify-content: space-between; align-items: center;
+            margin-bottom: 24px; padding-bottom: 16px;
+            border-bottom: 1px solid var(--border);
+        }
+        .header h1 { font-size: 1.5em; color: var(--accent); }
+        .status-badge {
+            display: inline-flex; align-items: center; gap: 6px;
+            padding: 4px 12px; border-radius: 20px;
+            font-size: 0.85em; font-weight: 600;
+        }
+        .status-online { background: #22c55e22; color: var(--green); border: 1px solid #22c55e44; }
+        .session-info { color: var(--muted); font-size: 0.85em; margin-right: 12px; }
+        .session-info a { color: var(--accent); text-decoration: none; margin-left: 8px; }
+
+        /* Grid */
+        .grid { display: grid; grid-template-columns: 1fr 320px; gap: 20px; }
+        @media (max-width: 900px) { .grid { grid-template-columns: 1fr; } }
+
+        /* Cards */
+        .card {
+            background: var(--card); border: 1px solid var(--border);
+            border-radius: 12px; padding: 20px; margin-bottom: 20px;
+        }
+        .card h2 {
+            font-size: 1em; color: var(--muted); text-transform: uppercase;
+            letter-spacing: 1px; margin-bottom: 16px;
+        }
+
+        /* Player count */
+        .player-count { font-size: 2em; font-weight: bold; color: var(--accent); }
+        .player-max { color: var(--muted); font-size: 0.5em; }
+
+        /* Chat */
+        #chat-box {
+            height: 280px; overflow-y: auto; background: #0a0a16;
+            padding: 12px; border-radius: 8px; border: 1px solid var(--border);
+            margin-bottom: 12px; font-family: 'Consolas', monospace; font-size: 0.9em;
+        }
+        .chat-msg { margin-bottom: 6px; line-height: 1.4; }
+        .chat-name { color: var(--accent); font-weight: bold; }
+        .chat-system { color: var(--muted); font-style: italic; }
+        .chat-private { color: #c084fc; }
+        .chat-emote { color: var(--orange); font-style: italic; }
+        .chat-party { color: var(--green); }
+
+        input[type="text"], input[type="number"], input[type="password"] {
+            width: 100%; padding: 10px 12px;
+            background: #0f0f1a; border: 1px solid var(--border);
+            color: var(--text); border-radius: 8px; font-size: 0.95em;
+        }
+        input:focus { outline: none; border-color: var(--accent); }
+
+        /* Table */
+        table { width: 100%; border-collapse: collapse; }
+        th { text-align: left; padding: 8px 12px; color: var(--muted); font-size: 0.8em; text-transform: uppercase; letter-spacing: 1px; }
+        td { padding: 10px 12px; border-top: 1px solid var(--border); }
+        tr:hover td { background: #ffffff08; }
+        .mode-badge {
+            display: inline-block; padding: 2px 8px; border-radius: 4px;
+            font-size: 0.75em; font-weight: 600;
+        }
+        .mode-tcp { background: #7c3aed22; color: #a78bfa; }
+        .mode-http { background: #f59e0b22; color: #fbbf24; }
+        .mode-ws { background: #22c55e22; color: #4ade80; }
+        .mode-away { background: #8888aa22; color: var(--muted); }
+        .flag { color: var(--red); }
+        .idle-tag { color: var(--orange); font-size: 0.8em; }
+
+        /* Live map */
+        .map-section { margin-bottom: 14px; }
+        .map-title { font-size: 0.85em; margin-bottom: 6px; }
+        .map-canvas { display: block; max-width: 100%; border: 1px solid var(--border); border-radius: 6px; cursor: pointer; }
+
+        /* Buttons */
+        .btn {
+            padding: 8px 16px; border: none; border-radius: 8px;
+            cursor: pointer; font-weight: 600; font-size: 0.9em; transition: opacity 0.2s;
+        }
+        .btn:hover { opacity: 0.85; }
+        .btn-primary { background: var(--accent); color: #000; }
+        .btn-danger { background: var(--red); color: #fff; }
+        .btn-secondary { background: var(--border); color: var(--text); }
+        .history-filter { display: flex; gap: 6px; margin-bottom: 10px; }
+        .history-filter input { flex: 1; padding: 6px 10px; }
+        .btn-small { padding: 4px 10px; font-size: 0.8em; border-radius: 6px; }
+
+        /* Form */
+        .form-group { margin-bottom: 14px; }
+        .form-group label { display: block; margin-bottom: 6px; font-size: 0.85em; color: var(--muted); }
+
+        /* Shared state */
+        .state-list {
+            max-height: 200px; overflow-y: auto; margin-bottom: 12px;
+            font-family: 'Consolas', monospace; font-size: 0.85em;
+        }
+        .state-row { display: flex; justify-content: space-between; padding: 4px 0; border-bottom: 1px solid var(--border); cursor: pointer; }
+        .state-row:hover { color: var(--accent); }
+        .state-form { display: grid; grid-template-columns: 1fr 1fr 1fr; gap: 6px; margin-bottom: 10px; }
+        .state-form input, .state-form select { padding: 8px; font-size: 0.85em; }
+        .scope-picks { display: flex; gap: 12px; margin-bottom: 10px; font-size: 0.85em; color: var(--muted); }
+        .scope-picks input { width: auto; margin-right: 4px; }
+        select {
+            background: #0f0f1a; border: 1px solid var(--border);
+            color: var(--text); border-radius: 8px;
+        }
+
+        /* Info items */
+        .info-item { display: flex; justify-content: space-between; padding: 8px 0; border-bottom: 1px solid var(--border); }
+        .info-label { color: var(--muted); font-size: 0.9em; }
+        .info-value { font-weight: 600; font-size: 0.9em; color: var(--text); word-break: break-all; }
+    </style>
+</head>
+<body>
+
+<div class="header">
+    <h1>VXU Server Dashboard</h1>
+    <div>
+        <span class="session-info">${escapeHTML(session.name)} (${session.role})<a href="/logout">Log out</a></span>
+        <span class="status-badge status-online">&#x25CF; Online</span>
+    </div>
+</div>
+
+<div class="grid">
+    <div>
+        <div class="card">
+            <h2>Live Chat & Activity</h2>
+            <div id="chat-box"></div>
+            ${isAdmin ? `<input type="text" id="admin-input" placeholder="Broadcast a message as Admin..." onkeypress="if(event.key==='Enter'){sendChat()}">` : ''}
+        </div>
+
+        <div class="card">
+            <h2>Players Online &mdash; <span class="player-count" id="count-display">0<span class="player-max"> / 0</span></span></h2>
+            <table>
+                <thead><tr><th>ID</th><th>Name</th><th>IP</th><th>Mode</th><th>Version</th><th>Party</th><th></th></tr></thead>
+                <tbody id="player-table"></tbody>
+            </table>
+            <div id="no-players" style="text-align:center; color:var(--muted); padding:20px;">No players connected</div>
+        </div>
+
+        ${isAdmin ? `<div class="card">
+            <h2>Live Map</h2>
+            <div id="map-view"></div>
+            <div id="map-details"></div>
+        </div>` : ''}
+
+        <div class="card">
+            <h2>History</h2>
+            <div class="history-filter">
+                <select id="history-type" onchange="renderHistory()">
+                    <option value="">Everything</option>
+                    <option value="chat">Chat</option>
+                    <option value="join">Joins</option>
+                    <option value="leave">Leaves</option>
+                    <option value="kick">Kicks &amp; bans</option>
+                </select>
+                <input type="text" id="history-search" placeholder="Search names and messages..." oninput="renderHistory()">
+                <button class="btn btn-secondary btn-small" onclick="exportHistory('json')">JSON</button>
+                <button class="btn btn-secondary btn-small" onclick="exportHistory('csv')">CSV</button>
+            </div>
+            <div class="state-list" id="history-list"></div>
+        </div>
+    </div>
+
+    <div>
+        ${isAdmin ? `<div class="card">
+            <h2>Server Settings</h2>
+            <div class="form-group">
+                <label>Server Name</label>
+                <input type="text" id="cfg-name">
+            </div>
+            <div class="form-group">
+                <label>Max Players</label>
+                <input type="number" id="cfg-max" min="2" max="100">
+            </div>
+            <div class="form-group">
+                <label>Message of the Day</label>
+                <input type="text" id="cfg-motd">
+            </div>
+            <div class="form-group">
+                <label>Chat Lines Sent to New Players</label>
+                <input type="number" id="cfg-backfill" min="0" max="50">
+            </div>
+            <button class="btn btn-primary" style="width:100%" onclick="saveConfig()">Save Settings</button>
+            <button class="btn btn-secondary" style="width:100%; margin-top:6px" onclick="socket && socket.emit('admin_reload_config')">Reload from File</button>
+        </div>
+
+        <div class="card">
+            <h2>Shared Game State</h2>
+            <div class="state-list" id="state-list"></div>
+            <div class="state-form">
+                <select id="state-kind">
+                    <option value="switch">Switch</option>
+                    <option value="variable">Variable</option>
+                    <option value="selfSwitch">Self Switch</option>
+                </select>
+                <input type="text" id="state-key" placeholder="ID (self: map,event,A)">
+                <input type="text" id="state-value" placeholder="Value">
+            </div>
+            <button class="btn btn-primary" style="width:100%" onclick="setState()">Set Value</button>
+        </div>
+
+        <div class="card">
+            <h2>Bans</h2>
+            <div class="state-list" id="ban-list"></div>
+            <div class="state-form">
+                <select id="ban-type">
+                    <option value="name">Name</option>
+                    <option value="ip">IP</option>
+                    <option value="range">IP range</option>
+                </select>
+                <input type="text" id="ban-value" placeholder="Name / IP / 10.0.0.0/24">
+                <input type="number" id="ban-minutes" placeholder="Minutes (blank = forever)" min="0">
+            </div>
+            <input type="text" id="ban-reason" placeholder="Reason" style="margin-bottom:10px">
+            <button class="btn btn-danger" style="width:100%" onclick="addBan()">Add Ban</button>
+        </div>
+
+        <div class="card">
+            <h2>Custom Events</h2>
+            <div class="state-list" id="event-list"></div>
+            <div class="state-form">
+                <input type="text" id="event-name" placeholder="Event name">
+                <input type="number" id="event-bytes" placeholder="Max bytes" min="0">
+                <input type="number" id="event-rate" placeholder="Per second" min="0.1" step="0.1">
+            </div>
+            <div class="scope-picks">
+                <label><input type="checkbox" id="event-scope-all">everyone</label>
+                <label><input type="checkbox" id="event-scope-map" checked>same map</label>
+                <label><input type="checkbox" id="event-scope-player">one player</label>
+            </div>
+            <button class="btn btn-primary" style="width:100%" onclick="saveEvent()">Allow Event</button>
+        </div>
+
+        <div class="card">
+            <h2>Plugins</h2>
+            <div class="state-list" id="plugin-list"></div>
+            <button class="btn btn-secondary" style="width:100%" onclick="socket && socket.emit('admin_reload_plugins')">Reload Plugins</button>
+        </div>
+
+        <div class="card">
+            <h2>Moderation Log</h2>
+            <div class="state-list" id="mod-log"></div>
+        </div>
+
+        <div class="card">
+            <h2>Trade Log</h2>
+            <div class="state-list" id="trade-log"></div>
+        </div>` : ''}
+
+        <div class="card">
+            <h2>Server Info</h2>
+            <div class="info-item">
+                <span class="info-label">TCP Port (LAN)</span>
+                <span class="info-value">${server.gamePort}</span>
+            </div>
+            <div class="info-item">
+                <span class="info-label">HTTP Port</span>
+                <span class="info-value">${server.webPort}</span>
+            </div>
+            <div class="info-item">
+                <span class="info-label">WebSocket Path</span>
+                <span class="info-value">${server.wsPath || 'Disabled'}</span>
+            </div>
+            <div class="info-item">
+                <span class="info-label">LAN IP</span>
+                <span class="info-value">${server.localIP}</span>
+            </div>
+            <div class="info-item">
+                <span class="info-label">Public URL</span>
+                <span class="info-value">${escapeHTML(server.publicUrl || 'Not set (local only)')}</span>
+            </div>
+            <div class="info-item">
+                <span class="info-label">Server List API</span>
+                <span class="info-value" style="font-size:0.8em">${escapeHTML(server.publicUrl ? server.publicUrl + '/api/list' : 'http://' + server.localIP + ':' + server.webPort + '/api/list')}</span>
+            </div>
+        </div>
+    </div>
+</div>
+
+<script>
+// ─── Socket.IO (if available) ───────────────────────────────────────
+let socket = null;
+let players = [];
+let sharedState = { switches: {}, variables: {}, selfSwitches: {} };
+let tradeLog = [];
+let eventWhitelist = {};
+let bans = [];
+let plugins = [];
+let modLog = [];
+let positions = {};  // player id → { map, x, y, dir, updated, idle }
+let clockSkew = 0;   // this browser's clock minus the server's
+let selectedId = null;
+let historyEntries = [];
+const IS_ADMIN = ${isAdmin};
+
+function tryConnect() {
+    if (typeof io === 'undefined') {
+        // Socket.IO not loaded — fallback to static page
+        document.getElementById('chat-box').innerHTML = '<div class="chat-system">Dashboard requires Socket.IO. Run: npm install</div>';
+        return;
+    }
+    socket = io();
+
+    socket.on('connect_error', (err) => {
+        if (err.message === 'unauthorized') { window.location.href = '/login'; return; }
+        addLog('<span class="chat-system">Connection error: ' + esc(err.message) + '</span>');
+    });
+
+    socket.on('chat', (data) => addLog(chatHTML(data)));
+
+    // Sent on every (re)connect: replay it into the chat box
+    socket.on('history', (entries) => {
+        historyEntries = entries;
+        document.getElementById('chat-box').innerHTML = '';
+        entries.forEach(e => addLog(e.type === 'chat' ? chatHTML(e)
+            : '<span class="chat-system">[' + new Date(e.time).toLocaleTimeString() + '] ' + esc(historyText(e)) + '</span>'));
+        renderHistory();
+    });
+    socket.on('history_entry', (e) => {
+        historyEntries.push(e);
+        if (historyEntries.length > 1000) historyEntries.shift();
+        renderHistory();
+    });
+
+    socket.on('log', (msg) => {
+        addLog('<span class="chat-system">[' + new Date().toLocaleTimeString() + '] ' + esc(msg) + '</span>');
+    });
+
+    socket.on('config', (cfg) => {
+        if (!IS_ADMIN) return;
+        document.getElementById('cfg-name').value = cfg.name;
+        document.getElementById('cfg-max').value = cfg.maxPlayers;
+        document.getElementById('cfg-motd').value = cfg.motd;
+        document.getElementById('cfg-backfill').value = cfg.chatBackfill;
+    });
+
+    socket.on('shared_state', (state) => { sharedState = state; renderState(); });
+    socket.on('shared_state_change', (c) => {
+        const table = c.kind === 'switch' ? sharedState.switches
+            : c.kind === 'variable' ? sharedState.variables : sharedState.selfSwitches;
+        if (c.value === 0 || c.value === false) delete table[c.key];
+        else table[c.key] = c.value;
+        renderState();
+    });
+
+    socket.on('trade_log', (list) => { tradeLog = list; renderTrades(); });
+    socket.on('event_whitelist', (list) => { eventWhitelist = list; renderEvents(); });
+    socket.on('bans', (list) => { bans = list; renderBans(); });
+    socket.on('plugins', (list) => { plugins = list; renderPlugins(); });
+    socket.on('trade_completed', (t) => { tradeLog.push(t); renderTrades(); });
+    socket.on('moderation_log', (list) => { modLog = list; renderModLog(); });
+    socket.on('moderation_action', (m) => { modLog.push(m); renderModLog(); });
+
+    socket.on('full_player_list', (list) => { players = list; renderPlayers(); });
+    socket.on('player_join', (p) => { players.push(p); renderPlayers(); });
+    socket.on('player_left', (id) => {
+        players = players.filter(p => p.id !== id);
+        delete positions[id];
+        renderPlayers();
+        renderMap();
+    });
+    socket.on('positions', (data) => {
+        clockSkew = Date.now() - data.now;
+        let idleChanged = false;
+        data.players.forEach(u => {
+            positions[u.id] = u;
+            const p = players.find(p => p.id === u.id);
+            if (p && !!p.idle !== u.idle) { p.idle = u.idle; idleChanged = true; }
+        });
+        if (idleChanged) renderPlayers();
+        renderMap();
+    });
+    socket.on('player_update', (u) => {
+        const p = players.find(p => p.id === u.id);
+        if (p) { Object.assign(p, u); renderPlayers(); renderMap(); }
+    });
+    socket.on('update_counts', (d) => {
+        document.getElementById('count-display').innerHTML = d.current + '<span class="player-max"> / ' + d.max + '</span>';
+    });
+}
+
+function esc(s) { const d = document.createElement('div'); d.textContent = s; return d.innerHTML; }
+
+function chatHTML(data) {
+    if (data.party) return '<span class="chat-party">[Party #' + data.party + '] ' + esc(data.name) + ': ' + esc(data.msg) + '</span>';
+    if (data.private) return '<span class="chat-private">[PM] ' + esc(data.name) + ' &rarr; ' + esc(data.to) + ': ' + esc(data.msg) + '</span>';
+    if (data.emote) return '<span class="chat-emote">* ' + esc(data.name) + ' ' + esc(data.msg) + '</span>';
+    return '<span class="chat-name">' + esc(data.name) + ':</span> ' + esc(data.msg);
+}
+
+function historyText(e) {
+    if (e.type === 'join') return 'Player Joined: ' + e.name + ' (' + e.msg + ')';
+    if (e.type === 'chat') return e.name + (e.private ? ' → ' + e.to : e.party ? ' [party]' : '') + ': ' + e.msg;
+    return 'Player ' + e.msg + ': ' + e.name;
+}
+
+function historyFilter() {
+    return {
+        type: document.getElementById('history-type').value,
+        q: document.getElementById('history-search').value.trim()
+    };
+}
+
+function renderHistory() {
+    const box = document.getElementById('history-list');
+    const f = historyFilter();
+    const q = f.q.toLowerCase();
+    const shown = historyEntries.filter(e => (!f.type || e.type === f.type)
+        && (!q || (e.name + ' ' + e.msg).toLowerCase().includes(q))).slice(-200).reverse();
+    box.innerHTML = shown.map(e => '<div class="state-row"><span>' + esc(historyText(e)) + '</span>'
+        + '<span class="chat-system">' + new Date(e.time).toLocaleString() + '</span></div>').join('')
+        || '<div class="chat-system">Nothing found</div>';
+}
+
+function exportHistory(format) {
+    const f = historyFilter();
+    window.location.href = '/history?format=' + format + '&type=' + encodeURIComponent(f.type) + '&q=' + encodeURIComponent(f.q);
+}
+
+function addLog(html) {
+    const box = document.getElementById('chat-box');
+    const div = document.createElement('div');
+    div.className = 'chat-msg';
+    div.innerHTML = html;
+    box.appendChild(div);
+    box.scrollTop = box.scrollHeight;
+}
+
+function renderPlayers() {
+    const tbody = document.getElementById('player-table');
+    const noP = document.getElementById('no-players');
+    tbody.innerHTML = '';
+    noP.style.display = players.length === 0 ? 'block' : 'none';
+    players.forEach(p => {
+        const tr = document.createElement('tr');
+        const ip = (p.ip || '?').replace('::ffff:', '');
+        const modeClass = (p.mode === 'HTTP') ? 'mode-http' : (p.mode === 'WS') ? 'mode-ws'
+            : (p.mode === 'AWAY') ? 'mode-away' : 'mode-tcp';
+        const modeLabel = p.mode || 'TCP';
+        const flag = (p.flagged ? ' <span class="flag" title="Movement flagged">&#9873;</span>' : '')
+            + (p.idle ? ' <span class="idle-tag" title="Has not moved for a while">idle</span>' : '');
+        tr.innerHTML = '<td>' + p.id + '</td><td>' + esc(p.name) + flag + '</td><td>' + esc(ip) + '</td>'
+            + '<td><span class="mode-badge ' + modeClass + '">' + modeLabel + '</span></td>'
+            + '<td>' + esc(p.version || '?') + '</td>'
+            + '<td>' + esc(p.party || '') + '</td>'
+            + '<td>' + (IS_ADMIN ? '<button class="btn btn-danger btn-small" onclick="kick(' + p.id + ')">Kick</button> '
+                + '<button class="btn btn-danger btn-small" onclick="ban(' + p.id + ')">Ban</button> '
+                + '<button class="btn btn-secondary btn-small" onclick="mute(' + p.id + ')">Mute</button> '
+                + '<button class="btn btn-secondary btn-small" onclick="warn(' + p.id + ')">Warn</button> '
+                + '<button class="btn btn-secondary btn-small" onclick="teleport(' + p.id + ')">Teleport</button> '
+                + '<button class="btn btn-secondary btn-small" onclick="rename(' + p.id + ')">Rename</button>' : '') + '</td>';
+        tbody.appendChild(tr);
+    });
+}
+
+const DIRECTIONS = { 2: 'down', 4: 'left', 6: 'right', 8: 'up' };  // RMVX direction codes
+
+// Players grouped by map, one tile grid each
+function renderMap() {
+    const box = document.getElementById('map-view');
+    if (!box) return;
+    const byMap = {};
+    players.forEach(p => {
+        const pos = positions[p.id];
+        if (!pos || pos.map === null || pos.x === null) return;  // no POS yet
+        (byMap[pos.map] = byMap[pos.map] || []).push({ player: p, pos });
+    });
+    const maps = Object.keys(byMap).sort((a, b) => a - b);
+    const width = box.clientWidth || 600;
+    box.innerHTML = maps.length ? '' : '<div class="chat-system">No player positions yet</div>';
+    maps.forEach(map => {
+        const section = document.createElement('div');
+        section.className = 'map-section';
+        section.innerHTML = '<div class="map-title">Map ' + esc(map) + ' <span class="chat-system">'
+            + byMap[map].length + ' player(s)</span></div>';
+        section.appendChild(drawMap(byMap[map], width));
+        box.appendChild(section);
+    });
+    renderMapDetails();
+}
+
+// The grid frames the players with a few tiles to spare (at least one
+// 17x13 screen), so tiles shrink as players spread out
+function drawMap(entries, width) {
+    const xs = entries.map(e => e.pos.x), ys = entries.map(e => e.pos.y);
+    const minX = Math.max(0, Math.min(...xs) - 3), minY = Math.max(0, Math.min(...ys) - 3);
+    const cols = Math.max(17, Math.max(...xs) + 4 - minX), rows = Math.max(13, Math.max(...ys) + 4 - minY);
+    const tile = Math.max(3, Math.min(24, Math.floor(width / cols)));
+
+    const canvas = document.createElement('canvas');
+    canvas.className = 'map-canvas';
+    canvas.width = cols * tile;
+    canvas.height = rows * tile;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#0a0a16';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    if (tile >= 6) {
+        ctx.strokeStyle = '#2a2a4a';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let c = 1; c < cols; c++) { ctx.moveTo(c * tile + 0.5, 0); ctx.lineTo(c * tile + 0.5, canvas.height); }
+        for (let r = 1; r < rows; r++) { ctx.moveTo(0, r * tile + 0.5); ctx.lineTo(canvas.width, r * tile + 0.5); }
+        ctx.stroke();
+    }
+
+    entries.forEach(({ player, pos }) => {
+        const cx = (pos.x - minX + 0.5) * tile, cy = (pos.y - minY + 0.5) * tile;
+        const radius = Math.max(2, tile * 0.4);
+        ctx.fillStyle = pos.idle || player.mode === 'AWAY' ? '#8888aa' : player.flagged ? '#ef4444' : '#00d4ff';
+        ctx.beginPath();
+        ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+        ctx.fill();
+        if (player.id === selectedId) {
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+        }
+        const facing = { 2: [0, 1], 4: [-1, 0], 6: [1, 0], 8: [0, -1] }[pos.dir];
+        if (facing) {
+            ctx.strokeStyle = '#0a0a16';
+            ctx.lineWidth = Math.max(1, tile / 8);
+            ctx.beginPath();
+            ctx.moveTo(cx, cy);
+            ctx.lineTo(cx + facing[0] * radius, cy + facing[1] * radius);
+            ctx.stroke();
+        }
+        if (tile >= 12) {
+            ctx.fillStyle = '#e0e0e0';
+            ctx.font = '11px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText(player.name, cx, cy - radius - 3);
+        }
+    });
+
+    // Select the player nearest the click, if within a tile and a half
+    canvas.onclick = (e) => {
+        const rect = canvas.getBoundingClientRect();
+        const x = (e.clientX - rect.left) * canvas.width / rect.width / tile + minX - 0.5;
+        const y = (e.clientY - rect.top) * canvas.height / rect.height / tile + minY - 0.5;
+        let best = null, bestDist = 1.5;
+        entries.forEach(en => {
+            const dist = Math.hypot(en.pos.x - x, en.pos.y - y);
+            if (dist <= bestDist) { best = en; bestDist = dist; }
+        });
+        selectedId = best ? best.player.id : null;
+        renderMap();
+    };
+    return canvas;
+}
+
+function renderMapDetails() {
+    const box = document.getElementById('map-details');
+    if (!box) return;
+    const p = players.find(p => p.id === selectedId);
+    const pos = p && positions[p.id];
+    if (!p || !pos) { box.innerHTML = '<div class="chat-system">Click a player on the map for details</div>'; return; }
+    const ago = Math.max(0, Math.round((Date.now() - clockSkew - pos.updated) / 1000));
+    const item = (label, value) => '<div class="info-item"><span class="info-label">' + label
+        + '</span><span class="info-value">' + value + '</span></div>';
+    box.innerHTML = item('Player', esc(p.name) + ' (ID ' + p.id + ')')
+        + item('Mode', esc(p.mode || 'TCP') + ' &middot; ' + esc((p.ip || '?').replace('::ffff:', '')))
+        + item('Position', 'Map ' + esc(pos.map) + ' (' + pos.x + ', ' + pos.y + ') facing ' + (DIRECTIONS[pos.dir] || '?'))
+        + item('Last update', ago + 's ago' + (pos.idle ? ' <span class="idle-tag">idle</span>' : ''))
+        + (p.party ? item('Party', esc(p.party)) : '')
+        + (p.flagged ? item('Movement', '<span class="flag">flagged</span>') : '');
+}
+setInterval(renderMapDetails, 1000);
+
+function renderState() {
+    const list = document.getElementById('state-list');
+    if (!list) return;
+    list.innerHTML = '';
+    const add = (kind, label, key, value) => {
+        const row = document.createElement('div');
+        row.className = 'state-row';
+        row.innerHTML = '<span>' + label + ' ' + esc(key) + '</span><span>' + esc(String(value)) + '</span>';
+        row.onclick = () => pickState(kind, key, value);
+        list.appendChild(row);
+    };
+    Object.keys(sharedState.switches).forEach(k => add('switch', 'S', k, 'ON'));
+    Object.keys(sharedState.variables).forEach(k => add('variable', 'V', k, sharedState.variables[k]));
+    Object.keys(sharedState.selfSwitches).forEach(k => add('selfSwitch', 'Self', k, 'ON'));
+    if (!list.children.length) list.innerHTML = '<div class="chat-system">All switches OFF, variables 0</div>';
+}
+
+function pickState(kind, key, value) {
+    document.getElementById('state-kind').value = kind;
+    document.getElementById('state-key').value = key;
+    document.getElementById('state-value').value = value;
+}
+
+function setState() {
+    const kind = document.getElementById('state-kind').value;
+    const raw = document.getElementById('state-value').value.trim();
+    const value = kind === 'variable' ? parseInt(raw) || 0 : /^(1|on|true)$/i.test(raw);
+    if (socket) socket.emit('admin_set_state', { kind, key: document.getElementById('state-key').value.trim(), value });
+}
+
+function renderTrades() {
+    const box = document.getElementById('trade-log');
+    if (!box) return;
+    const side = (s) => esc(s.name) + ' gave ' + s.gold + 'G' + (s.items ? ' + ' + esc(s.items) : '');
+    box.innerHTML = tradeLog.length === 0 ? '<div class="chat-system">No trades yet</div>'
+        : tradeLog.slice().reverse().map(t => '<div class="state-row" title="' + esc(t.time) + '"><span>#' + t.id + ' '
+            + side(t.a) + '; ' + side(t.b) + '</span></div>').join('');
+}
+
+function renderModLog() {
+    const box = document.getElementById('mod-log');
+    if (!box) return;
+    box.innerHTML = modLog.length === 0 ? '<div class="chat-system">No moderation actions yet</div>'
+        : modLog.slice().reverse().map(m => '<div class="state-row" title="' + esc(new Date(m.time).toLocaleString()) + '"><span>'
+            + esc(m.admin) + ' ' + esc(m.action) + ' ' + esc(m.target) + (m.detail ? ' — ' + esc(m.detail) : '')
+            + (m.reason ? ' <span class="chat-system">' + esc(m.reason) + '</span>' : '') + '</span></div>').join('');
+}
+
+function renderBans() {
+    const box = document.getElementById('ban-list');
+    if (!box) return;
+    box.innerHTML = '';
+    bans.forEach(b => {
+        const row = document.createElement('div');
+        row.className = 'state-row';
+        const until = b.expires ? 'until ' + new Date(b.expires).toLocaleString() : 'permanent';
+        row.innerHTML = '<span>' + esc(b.type) + ' ' + esc(b.value) + ' <span class="chat-system">'
+            + esc((b.reason ? b.reason + ', ' : '') + until + ', by ' + b.by) + '</span></span>';
+        const lift = document.createElement('button');
+        lift.className = 'btn btn-primary btn-small';
+        lift.textContent = 'Lift';
+        lift.onclick = () => socket.emit('admin_unban', b.id);
+        row.appendChild(lift);
+        box.appendChild(row);
+    });
+    if (!bans.length) box.innerHTML = '<div class="chat-system">No bans</div>';
+}
+
+function addBan() {
+    if (!socket) return;
+    socket.emit('admin_ban_add', {
+        type: document.getElementById('ban-type').value,
+        value: document.getElementById('ban-value').value.trim(),
+        minutes: parseFloat(document.getElementById('ban-minutes').value) || 0,
+        reason: document.getElementById('ban-reason').value
+    });
+    document.getElementById('ban-value').value = '';
+    document.getElementById('ban-reason').value = '';
+}
+
+function renderPlugins() {
+    const box = document.getElementById('plugin-list');
+    if (!box) return;
+    box.innerHTML = plugins.length === 0 ? '<div class="chat-system">No plugins found</div>'
+        : plugins.map(p => '<div class="state-row"><span>' + esc(p.name) + ' <span class="chat-system">'
+            + esc(p.hooks.concat(p.packets).join(', ') || 'no hooks') + '</span>'
+            + (p.error ? '<br><span class="flag">' + esc(p.error) + '</span>' : '') + '</span></div>').join('');
+}
+
+function renderEvents() {
+    const box = document.getElementById('event-list');
+    if (!box) return;
+    box.innerHTML = '';
+    Object.keys(eventWhitelist).forEach(name => {
+        const rule = eventWhitelist[name];
+        const row = document.createElement('div');
+        row.className = 'state-row';
+        row.innerHTML = '<span>' + esc(name) + ' <span class="chat-system">' + esc(rule.scopes.join('/')) + ', '
+            + rule.maxBytes + 'B, ' + rule.ratePerSec + '/s</span></span>';
+        row.onclick = () => {
+            document.getElementById('event-name').value = name;
+            document.getElementById('event-bytes').value = rule.maxBytes;
+            document.getElementById('event-rate').value = rule.ratePerSec;
+            ['all', 'map', 'player'].forEach(sc => { document.getElementById('event-scope-' + sc).checked = rule.scopes.includes(sc); });
+        };
+        const del = document.createElement('button');
+        del.className = 'btn btn-danger btn-small';
+        del.textContent = 'Remove';
+        del.onclick = (e) => { e.stopPropagation(); socket.emit('admin_remove_event', name); };
+        row.appendChild(del);
+        box.appendChild(row);
+    });
+    if (!box.children.length) box.innerHTML = '<div class="chat-system">No events allowed</div>';
+}
+
+function saveEvent() {
+    if (!socket) return;
+    socket.emit('admin_set_event', {
+        name: document.getElementById('event-name').value.trim(),
+        maxBytes: parseInt(document.getElementById('event-bytes').value),
+        ratePerSec: parseFloat(document.getElementById('event-rate').value),
+        scopes: ['all', 'map', 'player'].filter(sc => document.getElementById('event-scope-' + sc).checked)
+    });
+}
+
+function sendChat() {
+    const input = document.getElementById('admin-input');
+    if (socket && input.value.trim()) {
+        socket.emit('admin_chat', input.value);
+        input.value = '';
+    }
+}
+
+function saveConfig() {
+    if (socket) {
+        socket.emit('update_config', {
+            name: document.getElementById('cfg-name').value,
+            maxPlayers: parseInt(document.getElementById('cfg-max').value),
+            motd: document.getElementById('cfg-motd').value,
+            chatBackfill: parseInt(document.getElementById('cfg-backfill').value)
+        });
+    }
+}
+
+function kick(id) {
+    if (socket && confirm('Kick player ID ' + id + '?')) {
+        socket.emit('admin_kick', id);
+    }
+}
+
+function ban(id) {
+    const p = players.find(p => p.id === id);
+    if (!socket || !p) return;
+    const reason = prompt('Ban ' + p.name + ' — reason:');
+    if (reason === null) return;
+    const minutes = parseFloat(prompt('Ban length in minutes (blank = permanent):', '')) || 0;
+    const ip = !!p.ip && confirm('Also ban IP ' + p.ip + '?');
+    socket.emit('admin_ban_player', { id, reason, minutes, ip });
+}
+
+function mute(id) {
+    const p = players.find(p => p.id === id);
+    if (!socket || !p) return;
+    const minutes = prompt('Mute ' + p.name + ' for how many minutes? (0 = unmute)', '10');
+    if (minutes === null) return;
+    const reason = parseFloat(minutes) > 0 ? prompt('Reason:') : '';
+    if (reason === null) return;
+    socket.emit('admin_mute', { id, minutes: parseFloat(minutes) || 0, reason });
+}
+
+function warn(id) {
+    const p = players.find(p => p.id === id);
+    if (!socket || !p) return;
+    const reason = prompt('Warning to send privately to ' + p.name + ':');
+    if (reason) socket.emit('admin_warn', { id, reason });
+}
+
+function teleport(id) {
+    const p = players.find(p => p.id === id);
+    if (!socket || !p) return;
+    const target = prompt('Teleport ' + p.name + ' to map,x,y:', '');
+    if (!target) return;
+    const [map, x, y] = target.split(',').map(v => v.trim());
+    const reason = prompt('Reason:');
+    if (reason === null) return;
+    socket.emit('admin_teleport', { id, map, x, y, reason });
+}
+
+function rename(id) {
+    const p = players.find(p => p.id === id);
+    if (!socket || !p) return;
+    const name = prompt('New name for ' + p.name + ':', p.name);
+    if (!name || name === p.name) return;
+    const reason = prompt('Reason:');
+    if (reason === null) return;
+    socket.emit('admin_rename', { id, name, reason });
+}
+
+// Load Socket.IO dynamically
+const script = document.createElement('script');
+script.src = '/socket.io/socket.io.js';
+script.onload = tryConnect;
+script.onerror = tryConnect;
+document.head.appendChild(script);
+</script>
+
+</body>
+</html>`;
+}
+
+module.exports = { createServer };